@@ -0,0 +1,180 @@
+/**
+ * A11Y MODULE - Screen Reader Announcements & Dialog Focus
+ * Version: 2.0.0
+ *
+ * Announcements go through two visually hidden live regions (#srStatus
+ * and #srAlert). Every .modal is a dialog: opening it (adding .show, from
+ * any module) moves focus inside and traps Tab there, Escape presses its
+ * [data-dismiss] button, and closing it returns focus to where it was.
+ */
+
+const A11y = (() => {
+    'use strict';
+
+    // Delay between clearing and filling a live region, so repeated text is read again
+    const ANNOUNCE_DELAY = 50;
+
+    const FOCUSABLE = [
+        'a[href]', 'button:not([disabled])', 'input:not([disabled]):not([type="hidden"])',
+        'select:not([disabled])', 'textarea:not([disabled])', '[tabindex]:not([tabindex="-1"])'
+    ].join(',');
+
+    // Open dialogs, topmost last: { dialog, returnFocus }
+    const openDialogs = [];
+    let observer = null;
+
+    /**
+     * Initialize dialog focus handling
+     */
+    const init = () => {
+        observer = new MutationObserver(mutations => {
+            mutations.forEach(m => syncDialog(m.target));
+        });
+        document.querySelectorAll('.modal').forEach(registerDialog);
+
+        document.addEventListener('keydown', handleKeydown);
+    };
+
+    /**
+     * Read text out to screen reader users
+     * @param {string} text
+     * @param {string} politeness - 'polite' waits its turn, 'assertive' interrupts
+     */
+    const announce = (text, politeness = 'polite') => {
+        const region = document.getElementById(politeness === 'assertive' ? 'srAlert' : 'srStatus');
+        if (!region) return;
+
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = text;
+        }, ANNOUNCE_DELAY);
+    };
+
+    /**
+     * Manage focus for a dialog (every .modal is registered on init)
+     */
+    const registerDialog = (dialog) => {
+        if (!dialog.hasAttribute('tabindex')) dialog.setAttribute('tabindex', '-1');
+        observer?.observe(dialog, { attributes: true, attributeFilter: ['class'] });
+        syncDialog(dialog);
+    };
+
+    /**
+     * Follow a dialog opening or closing
+     */
+    const syncDialog = (dialog) => {
+        const index = openDialogs.findIndex(d => d.dialog === dialog);
+        const isOpen = dialog.classList.contains('show');
+        if (isOpen === (index !== -1)) return;
+
+        let closed = null;
+        if (isOpen) {
+            openDialogs.push({ dialog, returnFocus: document.activeElement });
+        } else {
+            [closed] = openDialogs.splice(index, 1);
+        }
+
+        // The page behind an open dialog can't be reached
+        const main = document.querySelector('main');
+        if (main) main.inert = openDialogs.length > 0;
+
+        if (isOpen) {
+            (getFocusable(dialog)[0] || dialog).focus();
+        } else if (closed.returnFocus?.isConnected) {
+            closed.returnFocus.focus();
+        }
+    };
+
+    /**
+     * Visible, enabled elements that can take focus, in tab order
+     */
+    const getFocusable = (container) => {
+        return Array.from(container.querySelectorAll(FOCUSABLE))
+            .filter(el => !el.closest('[hidden]') && isShown(el, container));
+    };
+
+    /**
+     * Check that neither an element nor its ancestors (up to the container) are hidden by CSS
+     */
+    const isShown = (el, container) => {
+        for (let node = el; node && node !== container.parentElement; node = node.parentElement) {
+            const style = getComputedStyle(node);
+            if (style.display === 'none' || (node === el && style.visibility === 'hidden')) return false;
+        }
+        return true;
+    };
+
+    /**
+     * Topmost open dialog (or null)
+     */
+    const getOpenDialog = () => {
+        return openDialogs.length > 0 ? openDialogs[openDialogs.length - 1].dialog : null;
+    };
+
+    /**
+     * Keep Tab inside the open dialog and close it with Escape
+     */
+    const handleKeydown = (e) => {
+        const dialog = getOpenDialog();
+        if (!dialog) return;
+
+        if (e.key === 'Escape') {
+            const dismiss = dialog.querySelector('[data-dismiss]');
+            if (dismiss) {
+                e.preventDefault();
+                dismiss.click();
+            }
+            return;
+        }
+        if (e.key !== 'Tab') return;
+
+        const focusable = getFocusable(dialog);
+        if (focusable.length === 0) {
+            e.preventDefault();
+            dialog.focus();
+            return;
+        }
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        const outside = !dialog.contains(active);
+
+        if (e.shiftKey && (active === first || active === dialog || outside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (active === last || outside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    };
+
+    /**
+     * Tab a tablist key moves to (ArrowLeft/Right wrap, Home/End), or null for other keys
+     */
+    const getTabTarget = (tabs, current, key) => {
+        const index = tabs.indexOf(current);
+        if (index === -1) return null;
+
+        switch (key) {
+            case 'ArrowRight': return tabs[(index + 1) % tabs.length];
+            case 'ArrowLeft': return tabs[(index - 1 + tabs.length) % tabs.length];
+            case 'Home': return tabs[0];
+            case 'End': return tabs[tabs.length - 1];
+            default: return null;
+        }
+    };
+
+    // Public API
+    return {
+        init,
+        announce,
+        registerDialog,
+        getOpenDialog,
+        getFocusable,
+        getTabTarget
+    };
+})();
+
+// Freeze object
+Object.freeze(A11y);
@@ -0,0 +1,241 @@
+/**
+ * ACHIEVEMENTS MODULE - Declarative Achievements & Unlock State
+ * Version: 2.0.0
+ *
+ * Each achievement measures numeric progress towards a goal from the
+ * active player's game records, stats and saved scores. Unlocks are kept
+ * per profile with the time they were earned.
+ */
+
+const Achievements = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cyber_lock_achievements';
+    const STORAGE_VERSION = 1;
+
+    // Places on a difficulty's board that count as "top 10"
+    const TOP_PLACES = 10;
+
+    /**
+     * Definitions - progress(context) returns a number, unlocked once it reaches goal
+     * context: { stats, games (oldest first), scores (the player's saved scores) }
+     */
+    const DEFINITIONS = [
+        {
+            id: 'first-blood',
+            name: 'FIRST BLOOD',
+            desc: 'Win your first game',
+            icon: 'fa-skull',
+            goal: 1,
+            progress: ({ stats }) => stats.totalWins
+        },
+        {
+            id: 'code-master',
+            name: 'CODE MASTER',
+            desc: 'Win 10 games',
+            icon: 'fa-crown',
+            goal: 10,
+            progress: ({ stats }) => stats.totalWins
+        },
+        {
+            id: 'veteran',
+            name: 'VETERAN',
+            desc: 'Finish 50 games',
+            icon: 'fa-medal',
+            goal: 50,
+            progress: ({ stats }) => stats.totalGames
+        },
+        {
+            id: 'perfect-breach',
+            name: 'PERFECT BREACH',
+            desc: 'Win without any hints',
+            icon: 'fa-bolt',
+            goal: 1,
+            progress: ({ games }) => games.filter(g => g.won && g.hintsUsed === 0).length
+        },
+        {
+            id: 'speed-runner',
+            name: 'SPEED RUNNER',
+            desc: 'Win in under 30 seconds',
+            icon: 'fa-clock',
+            goal: 1,
+            // A time of 0 means the game's length wasn't recorded
+            progress: ({ games }) => games.filter(g => g.won && g.time > 0 && g.time < 30).length
+        },
+        {
+            id: 'mind-reader',
+            name: 'MIND READER',
+            desc: 'Crack a code in 3 guesses or fewer',
+            icon: 'fa-brain',
+            goal: 1,
+            progress: ({ games }) => games.filter(g => g.won && g.attempts <= 3).length
+        },
+        {
+            id: 'top-10',
+            name: 'TOP 10',
+            desc: `Place a saved score in a difficulty's top ${TOP_PLACES}`,
+            icon: 'fa-trophy',
+            goal: 1,
+            progress: ({ scores }) => (scores.some(s => Leaderboard.getRank(s, { difficulty: s.difficulty }) <= TOP_PLACES) ? 1 : 0)
+        },
+        {
+            id: 'hardcore',
+            name: 'HARDCORE',
+            desc: 'Win on hard difficulty',
+            icon: 'fa-dragon',
+            goal: 1,
+            progress: ({ stats }) => stats.byDifficulty.hard.wins
+        },
+        {
+            id: 'ghost-protocol',
+            name: 'GHOST PROTOCOL',
+            desc: 'Win on hard without any hints',
+            icon: 'fa-user-secret',
+            goal: 1,
+            progress: ({ games }) => games.filter(g => g.won && g.difficulty === 'hard' && g.hintsUsed === 0).length
+        },
+        {
+            id: 'hot-streak',
+            name: 'HOT STREAK',
+            desc: 'Win 3 games in a row',
+            icon: 'fa-fire',
+            goal: 3,
+            progress: ({ stats }) => stats.longestStreak
+        },
+        {
+            id: 'unstoppable',
+            name: 'UNSTOPPABLE',
+            desc: 'Win 10 games in a row',
+            icon: 'fa-meteor',
+            goal: 10,
+            progress: ({ stats }) => stats.longestStreak
+        }
+    ];
+
+    // { profileId: { achievementId: ISO date } } - 'guest' when nobody is signed in
+    let unlocks = {};
+
+    /**
+     * Initialize and catch up on anything earned before this version
+     */
+    const init = () => {
+        loadUnlocks();
+
+        window.addEventListener('gamerecorded', () => evaluate());
+        window.addEventListener('leaderboardchange', () => evaluate());
+        // Switching player isn't "earning" anything - unlock without a toast
+        window.addEventListener('profilechange', () => evaluate({ silent: true }));
+
+        evaluate({ silent: true });
+    };
+
+    /**
+     * Load unlocks from localStorage
+     */
+    const loadUnlocks = () => {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const data = stored ? JSON.parse(stored) : null;
+            unlocks = data && data.version === STORAGE_VERSION && data.unlocks ? data.unlocks : {};
+        } catch (error) {
+            console.error('Failed to load achievements:', error);
+            unlocks = {};
+        }
+    };
+
+    /**
+     * Save unlocks to localStorage
+     */
+    const saveUnlocks = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, unlocks }));
+        } catch (error) {
+            console.error('Failed to save achievements:', error);
+        }
+    };
+
+    /**
+     * Key unlocks are stored under for the active player
+     */
+    const getOwner = () => {
+        const profile = Profiles.getActive();
+        return profile ? profile.id : 'guest';
+    };
+
+    /**
+     * Everything an achievement can look at
+     */
+    const buildContext = () => {
+        const profile = Profiles.getActive();
+        const profileId = profile ? profile.id : null;
+
+        return {
+            stats: Profiles.getStats(),
+            games: GameHistory.getGames(profileId),
+            scores: profileId ? Leaderboard.getScores().filter(s => s.profileId === profileId) : []
+        };
+    };
+
+    /**
+     * Check every achievement and unlock the ones that reached their goal
+     * @param {Object} options - { silent } skip the unlock toast
+     * @returns {Array} achievements unlocked by this call
+     */
+    const evaluate = (options = {}) => {
+        const owner = getOwner();
+        const earned = unlocks[owner] || {};
+        const context = buildContext();
+
+        const unlocked = DEFINITIONS
+            .filter(def => !earned[def.id] && def.progress(context) >= def.goal)
+            .map(def => {
+                earned[def.id] = new Date().toISOString();
+                return describe(def, def.goal, earned);
+            });
+
+        if (unlocked.length > 0) {
+            unlocks[owner] = earned;
+            saveUnlocks();
+        }
+
+        window.dispatchEvent(new CustomEvent('achievementchange', {
+            detail: { unlocked, silent: !!options.silent }
+        }));
+        return unlocked;
+    };
+
+    /**
+     * Public view of one achievement
+     */
+    const describe = (def, progress, earned) => ({
+        id: def.id,
+        name: def.name,
+        desc: def.desc,
+        icon: def.icon,
+        goal: def.goal,
+        progress: Math.min(progress, def.goal),
+        unlocked: !!earned[def.id],
+        unlockedAt: earned[def.id] || null
+    });
+
+    /**
+     * Every achievement with the active player's progress
+     */
+    const getAll = () => {
+        const earned = unlocks[getOwner()] || {};
+        const context = buildContext();
+
+        // Unlocked achievements stay unlocked even if stats are reset
+        return DEFINITIONS.map(def => describe(def, earned[def.id] ? def.goal : def.progress(context), earned));
+    };
+
+    // Public API
+    return {
+        init,
+        evaluate,
+        getAll
+    };
+})();
+
+// Freeze object
+Object.freeze(Achievements);
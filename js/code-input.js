@@ -0,0 +1,277 @@
+/**
+ * CODE INPUT MODULE - Per-Symbol Guess Cells & On-Screen Keypad
+ * Version: 2.0.0
+ *
+ * One cell per code position. Typing advances to the next cell,
+ * Backspace on an empty cell goes back, and a pasted code is spread
+ * across the cells. The keypad is shown on touch screens, where it
+ * replaces the device keyboard.
+ */
+
+const CodeInput = (() => {
+    'use strict';
+
+    let cellsContainer = null;
+    let keypadContainer = null;
+    let cells = [];
+    let symbols = '';
+    let cursor = 0;
+    let onSubmit = null;
+
+    /**
+     * Initialize the cells and keypad
+     * @param {Object} callbacks - { onSubmit } called with Enter or the keypad's enter key
+     */
+    const init = (callbacks = {}) => {
+        onSubmit = callbacks.onSubmit || null;
+        cellsContainer = document.getElementById('guessCells');
+        keypadContainer = document.getElementById('keypad');
+
+        keypadContainer?.addEventListener('click', (e) => {
+            const key = e.target.closest('[data-key]');
+            if (key) pressKey(key.dataset.key);
+        });
+    };
+
+    /**
+     * Check if the keypad stands in for the device keyboard
+     */
+    const usesKeypad = () => typeof matchMedia === 'function' && matchMedia('(pointer: coarse)').matches;
+
+    /**
+     * Match the cells and keypad to the code configuration (rebuilt only when it changes)
+     */
+    const configure = (codeLength, symbolSet, symbolList) => {
+        if (cells.length === codeLength && symbols === symbolList) return;
+
+        const previous = getValue();
+        symbols = symbolList;
+        renderCells(codeLength, symbolSet);
+        renderKeypad();
+        setValue(previous);
+    };
+
+    /**
+     * Build one input per position
+     */
+    const renderCells = (codeLength, symbolSet) => {
+        if (!cellsContainer) return;
+
+        cellsContainer.innerHTML = Array.from({ length: codeLength }, (_, i) => `
+            <input type="text" class="cyber-input digit-cell" data-index="${i}" maxlength="1"
+                   autocomplete="off" autocapitalize="characters" spellcheck="false"
+                   aria-label="Symbol ${i + 1} of ${codeLength}">
+        `).join('');
+        cellsContainer.setAttribute('aria-label', `Enter ${codeLength}-symbol code`);
+
+        cells = Array.from(cellsContainer.querySelectorAll('.digit-cell'));
+        const mode = usesKeypad() ? 'none' : (symbolSet === 'digits' ? 'numeric' : 'text');
+        cells.forEach((cell, index) => {
+            cell.inputMode = mode;
+            cell.addEventListener('focus', () => {
+                cursor = index;
+                cell.select();
+                renderCursor();
+            });
+            cell.addEventListener('input', (e) => handleInput(e, index));
+            cell.addEventListener('keydown', (e) => handleKeydown(e, index));
+            cell.addEventListener('paste', (e) => {
+                e.preventDefault();
+                fillFrom(index, e.clipboardData.getData('text'));
+            });
+        });
+        cursor = 0;
+        renderCursor();
+    };
+
+    /**
+     * Build the keypad for the symbol set
+     */
+    const renderKeypad = () => {
+        if (!keypadContainer) return;
+
+        keypadContainer.innerHTML = symbols.split('').map(symbol => `
+            <button type="button" class="keypad-key" data-key="${symbol}">${symbol}</button>
+        `).join('') + `
+            <button type="button" class="keypad-key keypad-action" data-key="Backspace" aria-label="Delete">
+                <i class="fas fa-backspace" aria-hidden="true"></i>
+            </button>
+            <button type="button" class="keypad-key keypad-action primary" data-key="Enter" aria-label="Breach">
+                <i class="fas fa-key" aria-hidden="true"></i>
+            </button>
+        `;
+    };
+
+    /**
+     * Keep only the code's symbols, upper-cased
+     */
+    const filterSymbols = (text) => {
+        return String(text || '').toUpperCase().split('').filter(ch => symbols.includes(ch)).join('');
+    };
+
+    /**
+     * A cell changed - keep the symbol just typed (or spread a longer entry) and move on
+     */
+    const handleInput = (e, index) => {
+        const deleted = e.inputType && e.inputType.startsWith('delete');
+        const typed = deleted ? '' : filterSymbols(e.data !== null && e.data !== undefined ? e.data : cells[index].value);
+        if (typed.length > 1) {
+            fillFrom(index, typed);
+            return;
+        }
+
+        cells[index].value = typed;
+        if (typed) {
+            Sound.play('key');
+            focusCell(index + 1);
+        }
+    };
+
+    /**
+     * Backspace, arrows and Enter between cells
+     */
+    const handleKeydown = (e, index) => {
+        switch (e.key) {
+            case 'Backspace':
+                if (!cells[index].value && index > 0) {
+                    e.preventDefault();
+                    cells[index - 1].value = '';
+                    focusCell(index - 1);
+                }
+                break;
+            case 'ArrowLeft':
+                e.preventDefault();
+                focusCell(index - 1);
+                break;
+            case 'ArrowRight':
+                e.preventDefault();
+                focusCell(index + 1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (onSubmit) onSubmit();
+                break;
+            default:
+                // Keys that aren't code symbols never reach the cell
+                if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !symbols.includes(e.key.toUpperCase())) {
+                    e.preventDefault();
+                }
+        }
+    };
+
+    /**
+     * Spread symbols over the cells from a position, then focus the next empty one
+     */
+    const fillFrom = (index, text) => {
+        const typed = filterSymbols(text).slice(0, cells.length - index);
+        typed.split('').forEach((ch, i) => {
+            cells[index + i].value = ch;
+        });
+        if (typed) Sound.play('key');
+        focusCell(index + typed.length);
+    };
+
+    /**
+     * Keypad key: a symbol, Backspace or Enter (cells aren't focused, so the device keyboard stays away)
+     */
+    const pressKey = (key) => {
+        if (cells.length === 0 || cells[0].disabled) return;
+
+        if (key === 'Enter') {
+            if (onSubmit) onSubmit();
+            return;
+        }
+
+        if (key === 'Backspace') {
+            if (!cells[cursor].value && cursor > 0) cursor--;
+            cells[cursor].value = '';
+        } else if (symbols.includes(key)) {
+            cells[cursor].value = key;
+            Sound.play('key');
+            cursor = Math.min(cursor + 1, cells.length - 1);
+        }
+        renderCursor();
+    };
+
+    /**
+     * Focus a cell (clamped to the ends)
+     */
+    const focusCell = (index) => {
+        if (cells.length === 0) return;
+        cursor = Math.min(Math.max(index, 0), cells.length - 1);
+        cells[cursor].focus();
+        renderCursor();
+    };
+
+    /**
+     * Mark the cell the keypad types into
+     */
+    const renderCursor = () => {
+        cells.forEach((cell, i) => cell.classList.toggle('active', i === cursor));
+    };
+
+    /**
+     * The code entered so far (empty cells are skipped)
+     */
+    const getValue = () => cells.map(cell => cell.value).join('');
+
+    /**
+     * Fill the cells with a code
+     */
+    const setValue = (code) => {
+        const typed = filterSymbols(code);
+        cells.forEach((cell, i) => {
+            cell.value = typed[i] || '';
+        });
+        cursor = Math.min(typed.length, Math.max(cells.length - 1, 0));
+        renderCursor();
+    };
+
+    /**
+     * Empty every cell and start again from the first
+     */
+    const clear = () => setValue('');
+
+    /**
+     * Focus the first empty cell (or the last)
+     */
+    const focus = () => {
+        const empty = cells.findIndex(cell => !cell.value);
+        focusCell(empty === -1 ? cells.length - 1 : empty);
+    };
+
+    /**
+     * Enable or disable input
+     */
+    const setDisabled = (disabled) => {
+        cells.forEach(cell => {
+            cell.disabled = disabled;
+        });
+        keypadContainer?.querySelectorAll('button').forEach(btn => {
+            btn.disabled = disabled;
+        });
+    };
+
+    /**
+     * Shake the cells to reject a guess
+     */
+    const shake = () => {
+        cellsContainer?.classList.add('shake');
+        setTimeout(() => cellsContainer?.classList.remove('shake'), 300);
+    };
+
+    // Public API
+    return {
+        init,
+        configure,
+        getValue,
+        setValue,
+        clear,
+        focus,
+        setDisabled,
+        shake
+    };
+})();
+
+// Freeze object
+Object.freeze(CodeInput);
@@ -14,19 +14,54 @@ const Game = (() => {
     let guesses = [];
     let hintsUsed = 0;
     let maxHints = 3;
+    let suggestionsUsed = 0;
+    let logicMode = 'off';
+    let inconsistentGuesses = 0;
+    let pendingSave = null;
+    let events = [];
+    let injectedSecret = false;
+    let nonce = null;
+    let commitment = null;
+    let remote = null; // { submit, onSuggest, commitment, pending } while guesses are scored by a server
+    let locked = false; // settings held while a duel is on, so the player-set code isn't replaced
     let difficulty = 'medium';
     let timerMode = false;
     let timerDuration = 0;
     let timerInterval = null;
     let timeLeft = 0;
     let startTime = null;
+    let codeLength = 4;
+    let symbolSet = 'digits';
+    let variant = 'classic';
+    let seed = null;
+    let dailyMode = false;
+    let rng = Math.random;
+    let hintRng = Math.random;
+    let notes = []; // per position: { symbol: 'in' | 'out' }, unmarked symbols are unknown
 
     // Difficulty settings
-    const DIFFICULTY_SETTINGS = {
-        easy: { attempts: 6, hints: 5 },
-        medium: { attempts: 15, hints: 3 },
-        hard: { attempts: 15, hints: 0 }
-    };
+    const DIFFICULTY_SETTINGS = Rules.DIFFICULTY_SETTINGS;
+
+    // Code configuration
+    const MIN_CODE_LENGTH = 3;
+    const MAX_CODE_LENGTH = 8;
+    const SYMBOL_SETS = Rules.SYMBOL_SETS;
+
+    // Rule variants: { generateSecret, validateCode, scoreGuess, feedbackKey, renderGuess }
+    const VARIANTS = Rules.VARIANTS;
+
+    // Logic modes: off, warn (flag guesses that ignore feedback), strict (reject them)
+    const LOGIC_MODES = ['off', 'warn', 'strict'];
+
+    // Daily Code uses a fixed code configuration so everyone gets the same secret
+    const DAILY_CODE_SETTINGS = { length: 4, symbols: 'digits', variant: 'classic' };
+
+    // Pencil marks for a symbol at a position - 'unknown' is stored as no mark
+    const NOTE_MARKS = ['unknown', 'in', 'out'];
+
+    // In-progress game persistence
+    const SAVE_KEY = 'cyber_lock_saved_game';
+    const SAVE_VERSION = 2;
 
     // Callbacks
     let onUpdate = null;
@@ -41,33 +76,352 @@ const Game = (() => {
         onTimerTick = callbacks.onTimerTick || null;
         onGameEnd = callbacks.onGameEnd || null;
         
+        // Hold on to an unfinished game until the player resumes or abandons it
+        if (!pendingSave) pendingSave = loadSavedGame();
+
         reset();
         return getState();
     };
 
+    /**
+     * Obfuscate a string with a salt (XOR + base64) - keeps the secret
+     * out of plain sight in storage, it is not encryption
+     */
+    const obfuscate = (text, salt) => {
+        const mixed = text.split('').map((ch, i) =>
+            String.fromCharCode(ch.charCodeAt(0) ^ salt.charCodeAt(i % salt.length))
+        ).join('');
+        return btoa(mixed);
+    };
+
+    /**
+     * Reverse obfuscate()
+     */
+    const deobfuscate = (encoded, salt) => {
+        return atob(encoded).split('').map((ch, i) =>
+            String.fromCharCode(ch.charCodeAt(0) ^ salt.charCodeAt(i % salt.length))
+        ).join('');
+    };
+
+    /**
+     * Persist the in-progress game to localStorage
+     */
+    const persistGame = () => {
+        // Don't overwrite a save the player hasn't decided on yet
+        if (pendingSave) return;
+
+        try {
+            // Player-set codes belong to a match and aren't resumable on their own
+            const hasProgress = attempts > 0 || hintsUsed > 0 || suggestionsUsed > 0 || hasNotes();
+            if (gameOver || !hasProgress || injectedSecret || remote) {
+                localStorage.removeItem(SAVE_KEY);
+                return;
+            }
+
+            const salt = Math.random().toString(36).slice(2, 10);
+            const data = {
+                version: SAVE_VERSION,
+                salt: salt,
+                code: obfuscate(secret, salt),
+                nonce: obfuscate(nonce, salt),
+                commitment,
+                attempts,
+                maxAttempts,
+                guesses,
+                hintsUsed,
+                maxHints,
+                suggestionsUsed,
+                inconsistentGuesses,
+                logicMode,
+                difficulty,
+                codeLength,
+                symbolSet,
+                variant,
+                seed,
+                dailyMode,
+                timerMode,
+                timerDuration,
+                timeLeft,
+                startTime,
+                events,
+                notes,
+                savedAt: Date.now()
+            };
+            localStorage.setItem(SAVE_KEY, JSON.stringify(data));
+        } catch (error) {
+            console.error('Failed to save game:', error);
+        }
+    };
+
+    /**
+     * Check that a save holds what a game is rebuilt from - corrupt or hand-edited saves are dropped
+     */
+    const isValidSave = (data) => {
+        const hasOwn = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+        if (!data || typeof data !== 'object' || data.version !== SAVE_VERSION) return false;
+        if (!hasOwn(DIFFICULTY_SETTINGS, data.difficulty) || !hasOwn(SYMBOL_SETS, data.symbolSet)) return false;
+        if (!Number.isInteger(data.codeLength) || data.codeLength < MIN_CODE_LENGTH || data.codeLength > MAX_CODE_LENGTH) {
+            return false;
+        }
+        if (![data.code, data.nonce, data.salt].every(value => typeof value === 'string') || !data.salt) return false;
+        if (![data.attempts, data.maxAttempts, data.hintsUsed, data.maxHints].every(Number.isInteger)) return false;
+
+        const rules = hasOwn(VARIANTS, data.variant) ? VARIANTS[data.variant] : VARIANTS.classic;
+        return Array.isArray(data.guesses) && data.guesses.every(g => g !== null && typeof g === 'object' &&
+            rules.validateCode(g.sequence, data.codeLength, data.symbolSet) &&
+            Number.isInteger(g.exact) && Number.isInteger(g.partial));
+    };
+
+    /**
+     * Load a saved in-progress game
+     */
+    const loadSavedGame = () => {
+        try {
+            const stored = localStorage.getItem(SAVE_KEY);
+            if (!stored) return null;
+
+            const data = JSON.parse(stored);
+            if (!isValidSave(data)) {
+                localStorage.removeItem(SAVE_KEY);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error('Failed to load saved game:', error);
+            localStorage.removeItem(SAVE_KEY);
+            return null;
+        }
+    };
+
+    /**
+     * Get a summary of the saved game waiting to be resumed (or null)
+     */
+    const getSavedGame = () => {
+        if (!pendingSave) return null;
+
+        return {
+            attempts: pendingSave.attempts,
+            maxAttempts: pendingSave.maxAttempts,
+            difficulty: pendingSave.difficulty,
+            codeLength: pendingSave.codeLength,
+            variant: pendingSave.variant || 'classic',
+            dailyMode: pendingSave.dailyMode,
+            timerMode: pendingSave.timerMode,
+            timeLeft: getSavedTimeLeft(pendingSave),
+            savedAt: pendingSave.savedAt
+        };
+    };
+
+    /**
+     * Time left on a saved timer - the clock keeps running while the page is closed
+     */
+    const getSavedTimeLeft = (data) => {
+        if (!data.timerMode) return 0;
+        const elapsed = Math.floor((Date.now() - data.savedAt) / 1000);
+        return Math.max(data.timeLeft - elapsed, 0);
+    };
+
+    /**
+     * Resume the saved game
+     */
+    const resumeSavedGame = () => {
+        const data = pendingSave;
+        if (!data) return false;
+        pendingSave = null;
+
+        if (timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
+        }
+
+        // The code must decode to the commitment it was saved with - otherwise start afresh
+        let saved = null;
+        try {
+            saved = { secret: deobfuscate(data.code, data.salt), nonce: deobfuscate(data.nonce, data.salt) };
+        } catch (error) {
+            console.error('Failed to restore saved game:', error);
+        }
+        if (!saved || Rules.commitSecret(saved.secret, saved.nonce) !== data.commitment) {
+            abandonSavedGame();
+            reset();
+            return false;
+        }
+
+        secret = saved.secret;
+        nonce = saved.nonce;
+        commitment = data.commitment;
+        attempts = data.attempts;
+        maxAttempts = data.maxAttempts;
+        guesses = data.guesses;
+        hintsUsed = data.hintsUsed;
+        maxHints = data.maxHints;
+        suggestionsUsed = data.suggestionsUsed;
+        inconsistentGuesses = data.inconsistentGuesses;
+        logicMode = data.logicMode;
+        difficulty = data.difficulty;
+        codeLength = data.codeLength;
+        symbolSet = data.symbolSet;
+        variant = VARIANTS[data.variant] ? data.variant : 'classic';
+        seed = data.seed;
+        dailyMode = data.dailyMode;
+        timerMode = data.timerMode;
+        timerDuration = data.timerDuration;
+        timeLeft = getSavedTimeLeft(data);
+        startTime = data.startTime;
+        events = data.events || [];
+        notes = restoreNotes(data.notes);
+        gameOver = false;
+
+        // Rebuild the hint stream and skip the hints already drawn
+        hintRng = seed !== null ? Rules.createRng(`${seed}:hints`) : Math.random;
+        for (let i = 0; i < hintsUsed; i++) hintRng();
+
+        if (timerMode && timeLeft <= 0) {
+            // Ran out while away
+            gameOver = true;
+            logEvent('end', { result: 'timeout', secret, nonce, attempts });
+            persistGame();
+            if (onGameEnd) onGameEnd('timeout');
+        } else if (timerMode) {
+            startTimer();
+        }
+
+        if (onUpdate) onUpdate(getState());
+        return true;
+    };
+
+    /**
+     * Abandon the saved game
+     */
+    const abandonSavedGame = () => {
+        pendingSave = null;
+        try {
+            localStorage.removeItem(SAVE_KEY);
+        } catch (error) {
+            console.error('Failed to clear saved game:', error);
+        }
+    };
+
+    /**
+     * Get the Daily Code seed for a date (UTC calendar day)
+     */
+    const getDailySeed = (date = new Date()) => {
+        return `daily-${date.toISOString().slice(0, 10)}`;
+    };
+
     /**
      * Reset game
+     * @param {Object} options - { seed } to replay a specific secret,
+     *                           { secret } to play a code set by another player
+     * @returns {boolean} false if an injected secret is invalid
      */
-    const reset = () => {
+    const reset = (options = {}) => {
+        if (options.secret !== undefined && !isValidGuess(normalizeGuess(options.secret))) {
+            return false;
+        }
+        injectedSecret = options.secret !== undefined;
+
+        // Pick random source
+        if (injectedSecret || remote) {
+            seed = null;
+        } else if (dailyMode) {
+            seed = getDailySeed();
+        } else {
+            seed = options.seed !== undefined && options.seed !== null ? String(options.seed) : null;
+        }
+        // Hints draw from their own stream so they don't depend on the secret draws
+        rng = seed !== null ? Rules.createRng(seed) : Math.random;
+        hintRng = seed !== null ? Rules.createRng(`${seed}:hints`) : Math.random;
+
         // Generate new secret
-        secret = Math.floor(Math.random() * 10000)
-            .toString()
-            .padStart(4, '0');
+        secret = '';
+        if (remote) {
+            // Unknown until the server reveals it
+            remote.pending = null;
+        } else if (injectedSecret) {
+            secret = normalizeGuess(options.secret);
+        } else {
+            secret = getVariant().generateSecret(rng, codeLength, symbolSet);
+        }
+
+        // Commit to the secret so the result can be verified once it is revealed
+        // (a server holding the secret commits to it for us)
+        nonce = remote ? null : createNonce();
+        commitment = remote ? remote.commitment : Rules.commitSecret(secret, nonce);
         
         attempts = 0;
         gameOver = false;
         guesses = [];
         hintsUsed = 0;
+        suggestionsUsed = 0;
+        inconsistentGuesses = 0;
+        notes = createNotes();
         startTime = Date.now();
+
+        // Start a fresh event log for replays
+        events = [];
+        logEvent('start', {
+            commitment,
+            settings: {
+                difficulty,
+                maxAttempts,
+                maxHints,
+                timerMode,
+                timerDuration,
+                codeLength,
+                symbolSet,
+                variant,
+                logicMode,
+                seed,
+                dailyMode,
+                injectedSecret
+            }
+        });
         
-        // Reset timer if active
-        if (timerMode) {
+        // Reset timer if active (a duel's clock starts with the code a player set)
+        if (timerMode && (!locked || injectedSecret)) {
             resetTimer();
+        } else if (timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
         }
         
-        console.log('🎯 New game started. Secret:', secret); // For testing
-        
+        persistGame();
         if (onUpdate) onUpdate(getState());
+        return true;
+    };
+
+    /**
+     * Random nonce for secret commitments
+     */
+    const createNonce = () => {
+        const bytes = new Uint8Array(16);
+        if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+            crypto.getRandomValues(bytes);
+        } else {
+            bytes.forEach((_, i) => { bytes[i] = Math.floor(Math.random() * 256); });
+        }
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    };
+
+    /**
+     * Record a game event (t = ms since game start)
+     */
+    const logEvent = (type, data = {}) => {
+        events.push({ type, t: Date.now() - startTime, ...data });
+    };
+
+    /**
+     * Get the recorded event log of the current game (the seed is left out until it is over)
+     */
+    const getReplay = () => {
+        return {
+            startedAt: startTime,
+            events: events.map(e => (e.type === 'start' && !gameOver ?
+                { ...e, settings: { ...e.settings, seed: null } } :
+                { ...e }))
+        };
     };
 
     /**
@@ -101,6 +455,8 @@ const Game = (() => {
                     clearInterval(timerInterval);
                     timerInterval = null;
                 }
+                logEvent('end', { result: 'timeout', secret, nonce, attempts });
+                persistGame();
                 if (onGameEnd) onGameEnd('timeout');
             }
             
@@ -112,7 +468,7 @@ const Game = (() => {
      * Set difficulty
      */
     const setDifficulty = (level) => {
-        if (!DIFFICULTY_SETTINGS[level]) return;
+        if (!DIFFICULTY_SETTINGS[level] || remote || locked) return;
         
         difficulty = level;
         maxAttempts = DIFFICULTY_SETTINGS[level].attempts;
@@ -125,6 +481,8 @@ const Game = (() => {
      * Set timer mode
      */
     const setTimerMode = (enabled, seconds = 60) => {
+        if (remote || locked) return;
+
         timerMode = enabled;
         timerDuration = seconds;
         
@@ -139,41 +497,129 @@ const Game = (() => {
     };
 
     /**
-     * Analyze guess using frequency algorithm
+     * Set code length and symbol set
      */
-    const analyzeGuess = (guess) => {
-        const target = secret.split('');
-        const attempt = guess.split('');
-        
-        let exact = 0;
-        let targetFreq = new Map();
-        let guessFreq = new Map();
-        
-        // Find exact matches
-        for (let i = 0; i < 4; i++) {
-            if (attempt[i] === target[i]) {
-                exact++;
-            } else {
-                targetFreq.set(target[i], (targetFreq.get(target[i]) || 0) + 1);
-                guessFreq.set(attempt[i], (guessFreq.get(attempt[i]) || 0) + 1);
-            }
+    const setCodeConfig = ({ length = codeLength, symbols = symbolSet } = {}) => {
+        if (dailyMode || remote || locked) return false;
+
+        const len = parseInt(length, 10);
+        if (isNaN(len) || len < MIN_CODE_LENGTH || len > MAX_CODE_LENGTH) return false;
+        if (!SYMBOL_SETS[symbols]) return false;
+        if (!getVariant().supports(len, symbols)) return false;
+
+        codeLength = len;
+        symbolSet = symbols;
+
+        reset();
+        return true;
+    };
+
+    /**
+     * Set the rule variant
+     */
+    const setVariant = (id) => {
+        if (dailyMode || remote || locked || !VARIANTS[id]) return false;
+        if (!VARIANTS[id].supports(codeLength, symbolSet)) return false;
+
+        variant = id;
+
+        reset();
+        return true;
+    };
+
+    /**
+     * Get the active rule variant
+     */
+    const getVariant = () => Rules.getVariant(variant);
+
+    /**
+     * List available rule variants
+     */
+    const getVariants = () => {
+        return Object.values(VARIANTS).map(v => ({ id: v.id, name: v.name, description: v.description }));
+    };
+
+    /**
+     * Set logic mode
+     */
+    const setLogicMode = (mode) => {
+        if (!LOGIC_MODES.includes(mode)) return false;
+        logicMode = mode;
+        persistGame();
+        if (onUpdate) onUpdate(getState());
+        return true;
+    };
+
+    /**
+     * Toggle Daily Code mode
+     */
+    const setDailyMode = (enabled) => {
+        if (locked) return;
+
+        dailyMode = !!enabled;
+
+        if (dailyMode) {
+            codeLength = DAILY_CODE_SETTINGS.length;
+            symbolSet = DAILY_CODE_SETTINGS.symbols;
+            variant = DAILY_CODE_SETTINGS.variant;
         }
-        
-        // Find partial matches
-        let partial = 0;
-        for (let [digit, count] of guessFreq) {
-            if (targetFreq.has(digit)) {
-                partial += Math.min(count, targetFreq.get(digit));
-            }
+
+        reset();
+    };
+
+    /**
+     * Hold the settings (difficulty, timer, code, variant, daily mode) - set by Match for a duel
+     */
+    const setLocked = (value) => {
+        locked = !!value;
+
+        // The clock waits until the duel's code is set (reset with { secret })
+        if (locked && timerInterval) {
+            clearInterval(timerInterval);
+            timerInterval = null;
         }
-        
-        return { exact, partial };
     };
 
+    /**
+     * Normalize raw input to the active symbol set (letters are upper case)
+     */
+    const normalizeGuess = (guess) => {
+        return String(guess || '').trim().toUpperCase();
+    };
+
+    /**
+     * Check that a code fits the current length and symbol set
+     */
+    const isValidCode = (code) => isValidGuess(normalizeGuess(code));
+
+    /**
+     * Check that a guess fits the code settings and the variant's constraints
+     */
+    const isValidGuess = (guess) => {
+        return getVariant().validateCode(guess, codeLength, symbolSet);
+    };
+
+    /**
+     * Score a guess against a code with the active variant - shared with the Solver
+     */
+    const scoreGuess = (code, guess) => getVariant().scoreGuess(code, guess);
+
+    /**
+     * Comparable key for a piece of feedback under the active variant
+     */
+    const feedbackKey = (feedback) => getVariant().feedbackKey(feedback);
+
+    /**
+     * Analyze guess against the secret
+     */
+    const analyzeGuess = (guess) => scoreGuess(secret, guess);
+
     /**
      * Make a guess
      */
-    const makeGuess = (guess) => {
+    const makeGuess = (rawGuess) => {
+        const guess = normalizeGuess(rawGuess);
+
         if (gameOver) {
             return { success: false, message: 'Game over. Start new game.' };
         }
@@ -184,12 +630,43 @@ const Game = (() => {
             return { success: false, message: 'Maximum attempts reached!' };
         }
 
-        if (!/^\d{4}$/.test(guess)) {
-            return { success: false, message: 'Enter exactly 4 digits!' };
+        if (!isValidGuess(guess)) {
+            const constraint = getVariant().constraint;
+            return {
+                success: false,
+                message: `Enter exactly ${codeLength} ${SYMBOL_SETS[symbolSet].label}` +
+                    `${constraint ? `, ${constraint}` : ''}!`
+            };
+        }
+
+        // Check guess against earlier feedback
+        const inconsistent = !Solver.isConsistentWith(guess, guesses);
+        if (inconsistent && logicMode === 'strict') {
+            return {
+                success: false,
+                inconsistent: true,
+                message: 'STRICT LOGIC: guess contradicts earlier feedback!'
+            };
+        }
+
+        // Race and ranked games - the server holds the secret and scores the guess
+        if (remote) {
+            if (remote.pending) {
+                return { success: false, message: 'Waiting for the server...' };
+            }
+            remote.pending = { guess, inconsistent };
+            remote.submit(guess);
+            return { success: true, pending: true, message: `Transmitting ${guess}...` };
         }
 
-        // Analyze guess
-        const analysis = analyzeGuess(guess);
+        return recordGuess(guess, analyzeGuess(guess), inconsistent);
+    };
+
+    /**
+     * Record a scored guess and check for the end of the game
+     */
+    const recordGuess = (guess, analysis, inconsistent) => {
+        if (inconsistent) inconsistentGuesses++;
         attempts++;
 
         // Store guess
@@ -198,22 +675,34 @@ const Game = (() => {
             sequence: guess,
             exact: analysis.exact,
             partial: analysis.partial,
+            inconsistent: inconsistent,
             time: new Date().toLocaleTimeString()
         };
+        if (analysis.marks) guessEntry.marks = [...analysis.marks];
         guesses.unshift(guessEntry);
+        logEvent('guess', {
+            sequence: guess,
+            exact: analysis.exact,
+            partial: analysis.partial,
+            ...(analysis.marks ? { marks: [...analysis.marks] } : {}),
+            inconsistent: inconsistent
+        });
 
         // Calculate score
-        const score = calculateScore(attempts, analysis.exact);
+        const score = calculateScore(attempts);
 
         // Check win condition
-        if (analysis.exact === 4) {
+        if (analysis.exact === codeLength) {
             gameOver = true;
+            secret = guess;
             if (timerInterval) {
                 clearInterval(timerInterval);
                 timerInterval = null;
             }
+            logEvent('end', { result: 'win', secret, nonce, attempts, timeLeft: timerMode ? timeLeft : 0, score });
             if (onGameEnd) onGameEnd('win', { attempts, score });
             
+            persistGame();
             if (onUpdate) onUpdate(getState());
             return {
                 success: true,
@@ -230,33 +719,123 @@ const Game = (() => {
                 clearInterval(timerInterval);
                 timerInterval = null;
             }
+            logEvent('end', { result: 'lose', secret, nonce, attempts });
             if (onGameEnd) onGameEnd('lose', { secret });
         }
 
+        persistGame();
         if (onUpdate) onUpdate(getState());
 
+        const { labels } = getVariant();
+        let message = `Attempt ${attempts}: ${analysis.exact} ${labels.exact.toLowerCase()}, ` +
+            `${analysis.partial} ${labels.partial.toLowerCase()}`;
+        if (inconsistent && logicMode === 'warn') {
+            message += ' ⚠ contradicts earlier feedback';
+        }
+
         return {
             success: true,
             feedback: analysis,
-            message: `Attempt ${attempts}: ${analysis.exact} exact, ${analysis.partial} partial`
+            inconsistent: inconsistent,
+            message: message
         };
     };
 
     /**
-     * Calculate score based on performance
+     * Start a game scored by a server (race or ranked)
+     * @param {Object} config - { submit(guess), codeLength, symbolSet, variant, maxAttempts },
+     *                          optional { commitment, onSuggest() } for servers that log the game
      */
-    const calculateScore = (attemptsUsed, exactMatches) => {
-        let baseScore = 1000;
-        let attemptPenalty = attemptsUsed * 50;
-        let hintPenalty = hintsUsed * 100;
-        let timeBonus = 0;
-        
-        if (timerMode && timeLeft > 0) {
-            timeBonus = timeLeft * 10;
+    const startRemoteGame = (config) => {
+        if (typeof config.submit !== 'function' || !SYMBOL_SETS[config.symbolSet]) return false;
+
+        remote = {
+            submit: config.submit,
+            onSuggest: typeof config.onSuggest === 'function' ? config.onSuggest : null,
+            commitment: config.commitment || null,
+            pending: null
+        };
+        dailyMode = false;
+        codeLength = config.codeLength;
+        symbolSet = config.symbolSet;
+        variant = VARIANTS[config.variant] ? config.variant : 'classic';
+        maxAttempts = config.maxAttempts;
+        maxHints = 0;
+
+        reset();
+        return true;
+    };
+
+    /**
+     * Apply feedback from the race server to the pending guess
+     */
+    const applyRemoteFeedback = (feedback) => {
+        if (!remote || !remote.pending || remote.pending.guess !== feedback.sequence) {
+            return { success: false, message: 'Unexpected feedback from server' };
         }
-        
-        let finalScore = baseScore - attemptPenalty - hintPenalty + timeBonus;
-        return Math.max(finalScore, 100); // Minimum score 100
+
+        const { guess, inconsistent } = remote.pending;
+        remote.pending = null;
+
+        // Servers reveal the code with the feedback that ends the game
+        if (typeof feedback.secret === 'string') secret = feedback.secret;
+
+        const analysis = { exact: feedback.exact, partial: feedback.partial };
+        if (Array.isArray(feedback.marks)) analysis.marks = feedback.marks;
+
+        return recordGuess(guess, analysis, inconsistent);
+    };
+
+    /**
+     * Drop the pending guess when the server could not score it
+     */
+    const rejectRemoteGuess = () => {
+        if (!remote || !remote.pending) return false;
+        remote.pending = null;
+        return true;
+    };
+
+    /**
+     * End a race game decided elsewhere (opponent won, room closed)
+     */
+    const endRemoteGame = (result, revealedSecret) => {
+        if (!remote) return;
+
+        remote.pending = null;
+        if (revealedSecret) secret = revealedSecret;
+        if (gameOver) {
+            if (onUpdate) onUpdate(getState());
+            return;
+        }
+
+        gameOver = true;
+        logEvent('end', { result, secret, nonce, attempts });
+        if (onGameEnd) onGameEnd(result, { secret });
+        if (onUpdate) onUpdate(getState());
+    };
+
+    /**
+     * Leave race mode and go back to local play
+     */
+    const stopRemoteGame = () => {
+        if (!remote) return;
+
+        remote = null;
+        maxAttempts = DIFFICULTY_SETTINGS[difficulty].attempts;
+        maxHints = DIFFICULTY_SETTINGS[difficulty].hints;
+        reset();
+    };
+
+    /**
+     * Calculate score based on performance
+     */
+    const calculateScore = (attemptsUsed) => {
+        return Rules.computeScore({
+            attempts: attemptsUsed,
+            hintsUsed,
+            suggestionsUsed,
+            timeLeft: timerMode ? timeLeft : 0
+        });
     };
 
     /**
@@ -267,6 +846,10 @@ const Game = (() => {
             return { success: false, message: 'Game is over!' };
         }
 
+        if (remote) {
+            return { success: false, message: 'Hints are disabled in race mode!' };
+        }
+
         if (hintsUsed >= maxHints) {
             return { success: false, message: 'No hints remaining!' };
         }
@@ -274,9 +857,11 @@ const Game = (() => {
         hintsUsed++;
         
         // Generate hint (random position)
-        const pos = Math.floor(Math.random() * 4);
+        const pos = Math.floor(hintRng() * codeLength);
         const digit = secret[pos];
+        logEvent('hint', { position: pos + 1, digit: digit });
 
+        persistGame();
         if (onUpdate) onUpdate(getState());
 
         return {
@@ -287,50 +872,143 @@ const Game = (() => {
         };
     };
 
+    /**
+     * Ask the solver for the best next guess (costs score)
+     */
+    const useSuggestion = () => {
+        if (gameOver) {
+            return { success: false, message: 'Game is over!' };
+        }
+
+        const config = { codeLength, symbols: SYMBOL_SETS[symbolSet].symbols, variant };
+        const suggestion = Solver.suggestGuess(guesses, config);
+
+        if (!suggestion) {
+            return { success: false, message: 'Code space too large for the solver!' };
+        }
+
+        suggestionsUsed++;
+        logEvent('suggest', { guess: suggestion.guess, remaining: suggestion.remaining });
+        if (remote && remote.onSuggest) remote.onSuggest();
+
+        persistGame();
+        if (onUpdate) onUpdate(getState());
+
+        return {
+            success: true,
+            guess: suggestion.guess,
+            remaining: suggestion.remaining
+        };
+    };
+
+    /**
+     * Empty notes for every position
+     */
+    const createNotes = () => Array.from({ length: codeLength }, () => ({}));
+
+    /**
+     * Notes from a save, keeping only valid marks (saves from before notes have none)
+     */
+    const restoreNotes = (saved) => {
+        const restored = createNotes();
+        if (!Array.isArray(saved)) return restored;
+
+        const symbols = SYMBOL_SETS[symbolSet].symbols;
+        restored.forEach((marks, position) => {
+            Object.entries(saved[position] || {}).forEach(([symbol, mark]) => {
+                if (symbols.includes(symbol) && mark !== 'unknown' && NOTE_MARKS.includes(mark)) marks[symbol] = mark;
+            });
+        });
+        return restored;
+    };
+
+    /**
+     * Check if any note is marked
+     */
+    const hasNotes = () => notes.some(marks => Object.keys(marks).length > 0);
+
+    /**
+     * Mark a symbol at a position (0-based) as 'in', 'out' or 'unknown'
+     */
+    const setNote = (position, symbol, mark) => {
+        if (gameOver || !notes[position] || !NOTE_MARKS.includes(mark) ||
+            symbol.length !== 1 || !SYMBOL_SETS[symbolSet].symbols.includes(symbol)) {
+            return false;
+        }
+
+        if (mark === 'unknown') {
+            delete notes[position][symbol];
+        } else {
+            notes[position][symbol] = mark;
+        }
+
+        persistGame();
+        if (onUpdate) onUpdate(getState());
+        return true;
+    };
+
+    /**
+     * Move a note on to its next mark: unknown -> in -> out -> unknown
+     * @returns {string|null} the new mark, or null if it can't be changed
+     */
+    const cycleNote = (position, symbol) => {
+        const current = (notes[position] && notes[position][symbol]) || 'unknown';
+        const next = NOTE_MARKS[(NOTE_MARKS.indexOf(current) + 1) % NOTE_MARKS.length];
+        return setNote(position, symbol, next) ? next : null;
+    };
+
+    /**
+     * Clear every note
+     */
+    const clearNotes = () => {
+        if (gameOver || !hasNotes()) return false;
+
+        notes = createNotes();
+        persistGame();
+        if (onUpdate) onUpdate(getState());
+        return true;
+    };
+
     /**
      * Get current game state
      */
     const getState = () => {
         return {
-            secret: gameOver ? secret : '????',
+            secret: gameOver ? secret : '?'.repeat(codeLength),
             attempts: attempts,
             maxAttempts: maxAttempts,
             gameOver: gameOver,
             guesses: [...guesses],
             hintsUsed: hintsUsed,
             maxHints: maxHints,
+            suggestionsUsed: suggestionsUsed,
+            logicMode: logicMode,
+            remote: !!remote,
+            inconsistentGuesses: inconsistentGuesses,
             remainingAttempts: maxAttempts - attempts,
             remainingHints: maxHints - hintsUsed,
             difficulty: difficulty,
             timerMode: timerMode,
             timeLeft: timeLeft,
             timerDuration: timerDuration,
-            score: calculateScore(attempts, 0)
+            codeLength: codeLength,
+            symbolSet: symbolSet,
+            symbols: SYMBOL_SETS[symbolSet].symbols,
+            variant: variant,
+            // The seed gives the secret away, so it is only shown once the game is over
+            seed: gameOver ? seed : null,
+            dailyMode: dailyMode,
+            dailyDate: dailyMode ? seed.slice('daily-'.length) : null,
+            commitment: commitment,
+            notes: notes.map(marks => ({ ...marks })),
+            score: calculateScore(attempts)
         };
     };
 
     /**
-     * Get game statistics
+     * Get game statistics (the active player's)
      */
-    const getStats = () => {
-        return {
-            totalGames: parseInt(localStorage.getItem('totalGames') || '0'),
-            totalWins: parseInt(localStorage.getItem('totalWins') || '0'),
-            bestScore: parseInt(localStorage.getItem('bestScore') || '0'),
-            averageAttempts: calculateAverageAttempts()
-        };
-    };
-
-    /**
-     * Calculate average attempts from history
-     */
-    const calculateAverageAttempts = () => {
-        const scores = JSON.parse(localStorage.getItem('scores') || '[]');
-        if (scores.length === 0) return 0;
-        
-        const total = scores.reduce((sum, s) => sum + s.attempts, 0);
-        return Math.round(total / scores.length);
-    };
+    const getStats = () => Profiles.getStats();
 
     // Public API
     return {
@@ -338,11 +1016,34 @@ const Game = (() => {
         reset,
         makeGuess,
         useHint,
+        useSuggestion,
+        scoreGuess,
+        feedbackKey,
+        isValidCode,
         setDifficulty,
         setTimerMode,
+        setCodeConfig,
+        setDailyMode,
+        setVariant,
+        setLocked,
+        getVariant,
+        getVariants,
+        setLogicMode,
+        getDailySeed,
+        startRemoteGame,
+        applyRemoteFeedback,
+        rejectRemoteGuess,
+        endRemoteGame,
+        stopRemoteGame,
+        getReplay,
+        setNote,
+        cycleNote,
+        clearNotes,
+        getSavedGame,
+        resumeSavedGame,
+        abandonSavedGame,
         getState,
-        getStats,
-        calculateScore
+        getStats
     };
 })();
 
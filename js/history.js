@@ -0,0 +1,127 @@
+/**
+ * HISTORY MODULE - Finished Game Records
+ * Version: 2.0.0
+ *
+ * Every finished game (won, lost or timed out, saved or not) is recorded
+ * here; player statistics are derived from these records.
+ */
+
+const GameHistory = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cyber_lock_game_history';
+    const STORAGE_VERSION = 1;
+    const MAX_RECORDS = 5000;
+    const RESULTS = ['win', 'lose', 'timeout', 'attempts'];
+
+    let records = [];
+
+    /**
+     * Initialize the history store
+     */
+    const init = () => {
+        loadRecords();
+        return records.length;
+    };
+
+    /**
+     * Load records from localStorage
+     */
+    const loadRecords = () => {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const data = stored ? JSON.parse(stored) : null;
+            records = data && data.version === STORAGE_VERSION && Array.isArray(data.records) ?
+                data.records : [];
+        } catch (error) {
+            console.error('Failed to load game history:', error);
+            records = [];
+        }
+    };
+
+    /**
+     * Save records to localStorage
+     */
+    const saveRecords = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: STORAGE_VERSION, records }));
+        } catch (error) {
+            console.error('Failed to save game history:', error);
+        }
+    };
+
+    /**
+     * Record a finished game
+     * @param {Object} game - { profileId, result, attempts, maxAttempts, hintsUsed, suggestionsUsed,
+     *                          difficulty, variant, time (seconds), score, mode, dailyDate }
+     * @returns {Object|null} the stored record
+     */
+    const record = (game) => {
+        if (!game || !RESULTS.includes(game.result)) return null;
+
+        const entry = {
+            id: `g-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            profileId: game.profileId || null,
+            result: game.result,
+            won: game.result === 'win',
+            attempts: game.attempts || 0,
+            maxAttempts: game.maxAttempts || 0,
+            hintsUsed: game.hintsUsed || 0,
+            suggestionsUsed: game.suggestionsUsed || 0,
+            difficulty: game.difficulty,
+            variant: game.variant || 'classic',
+            time: game.time || 0,
+            score: game.result === 'win' ? game.score || 0 : 0,
+            mode: game.mode || 'solo',
+            dailyDate: game.dailyDate || null,
+            date: new Date().toISOString()
+        };
+
+        records.push(entry);
+        // Oldest records go first once the store is full
+        if (records.length > MAX_RECORDS) records = records.slice(records.length - MAX_RECORDS);
+
+        saveRecords();
+        window.dispatchEvent(new CustomEvent('gamerecorded', { detail: { record: entry } }));
+        return entry;
+    };
+
+    /**
+     * Records for a profile, oldest first
+     */
+    const getGames = (profileId) => records.filter(r => r.profileId === (profileId || null));
+
+    /**
+     * Win streaks over a list of records (oldest first)
+     * @returns {Object} { current, longest }
+     */
+    const getStreaks = (games) => {
+        let current = 0;
+        let longest = 0;
+        games.forEach(game => {
+            current = game.won ? current + 1 : 0;
+            longest = Math.max(longest, current);
+        });
+        return { current, longest };
+    };
+
+    /**
+     * Drop a profile's records
+     */
+    const clearProfile = (profileId) => {
+        records = records.filter(r => r.profileId !== (profileId || null));
+        saveRecords();
+    };
+
+    // Public API
+    return {
+        init,
+        record,
+        getGames,
+        getStreaks,
+        clearProfile
+    };
+})();
+
+// Freeze object
+Object.freeze(GameHistory);
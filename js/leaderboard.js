@@ -6,55 +6,342 @@
 const Leaderboard = (() => {
     'use strict';
 
-    const STORAGE_KEY = 'cyber_lock_scores';
-    const MAX_ENTRIES = 100;
+    // Shared leaderboard server (see server/leaderboard-server.js)
+    const REMOTE_KEY = 'cyber_lock_leaderboard_remote';
+    const QUEUE_KEY = 'cyber_lock_score_queue';
+    const SYNC_PAGE_SIZE = 100;
+    const MAX_SYNC_PAGES = 50;
+
+    // Import schema limits
+    const MAX_ID_LENGTH = 64;
+    const MAX_PLAYER_LENGTH = 20;
+    const SCORE_RANGE = { min: 0, max: 999999 };
+    const MAX_ATTEMPTS = Math.max(...Object.values(Rules.DIFFICULTY_SETTINGS).map(d => d.attempts));
+    const MAX_TIME = 24 * 60 * 60;
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    const EARLIEST_DATE = Date.UTC(2000, 0, 1);
+
+    // Query options
+    const TIME_RANGES = ['today', 'week', 'month', 'all'];
+    const RANGE_DAYS = { week: 7, month: 30 };
+    const DEFAULT_PAGE_SIZE = 20;
+
+    /**
+     * Solve time for ordering - untimed entries (time 0) count as slowest
+     */
+    const rankTime = (entry) => entry.time || Infinity;
+
+    /**
+     * Faster time first - two untimed entries are equal (Infinity - Infinity would be NaN)
+     */
+    const compareTime = (a, b) => {
+        const timeA = rankTime(a);
+        const timeB = rankTime(b);
+        return timeA === timeB ? 0 : timeA - timeB;
+    };
+
+    /**
+     * Ranking order without the date: higher score, then fewer attempts, then faster time.
+     * Entries equal here share a rank.
+     */
+    const compareResults = (a, b) => b.score - a.score || a.attempts - b.attempts || compareTime(a, b);
+
+    /**
+     * Full leaderboard order - among equal results the earlier entry is listed first
+     */
+    const compareEntries = (a, b) => compareResults(a, b) || (a.timestamp || 0) - (b.timestamp || 0);
+
+    // Orderings - ties fall back to the leaderboard order
+    const SORTS = {
+        score: compareEntries,
+        attempts: (a, b) => a.attempts - b.attempts || compareEntries(a, b),
+        time: (a, b) => compareTime(a, b) || compareEntries(a, b)
+    };
+
+    // CSV export columns (entry fields, in order)
+    const CSV_COLUMNS = [
+        'id', 'player', 'profileId', 'score', 'attempts', 'time', 'difficulty', 'variant', 'hintsUsed',
+        'inconsistentGuesses', 'logicMode', 'verified', 'dailyDate', 'seed', 'date', 'timestamp'
+    ];
 
     let scores = [];
+    let dailyScores = [];
     let onUpdate = null;
 
+    // Remote mode: server URL, ranked games waiting to be submitted ({ gameId, player, profileId }), sync status
+    let remoteUrl = null;
+    let queue = [];
+    let syncing = null;
+    let lastSync = null;
+    let syncError = null;
+    let listening = false;
+
+    // Storage adapter (see ScoreStorage) and the promise of it being loaded
+    let storage = null;
+    let ready = Promise.resolve();
+
     /**
      * Initialize leaderboard
+     * @param {Function} callback - called with the scores after every change
+     * @param {Object} options - { storage } to use a specific adapter
      */
-    const init = (callback = null) => {
+    const init = (callback = null, options = {}) => {
         onUpdate = callback;
-        loadScores();
+        scores = [];
+        dailyScores = [];
+        ready = loadScores(options.storage);
+
+        loadRemoteConfig();
+        if (remoteUrl) sync();
+
+        // Send queued scores when the connection comes back
+        if (!listening) {
+            window.addEventListener('online', () => sync());
+            listening = true;
+        }
+
         return getScores();
     };
 
     /**
-     * Load scores from localStorage
+     * Tell listeners the scores changed
      */
-    const loadScores = () => {
-        try {
-            const stored = localStorage.getItem(STORAGE_KEY);
-            scores = stored ? JSON.parse(stored) : [];
-            
+    const notify = () => {
+        if (onUpdate) onUpdate(scores);
+        window.dispatchEvent(new CustomEvent('leaderboardchange', { detail: { count: scores.length } }));
+    };
+
+    /**
+     * Load scores from the storage adapter
+     * @returns {Promise} resolves once the scores are in memory
+     */
+    const loadScores = (adapter = null) => {
+        const selected = adapter ? Promise.resolve(adapter) : ScoreStorage.open();
+
+        return selected.then(chosen => {
+            storage = chosen;
+            return storage.load();
+        }).then(entries => {
+            // Keep anything added while the storage was loading
+            const ids = new Set(entries.map(e => e.id));
+            const all = [...entries, ...scores, ...dailyScores].filter((e, i, list) =>
+                i < entries.length || !ids.has(e.id)
+            );
+
             // Sort by score (highest first)
-            scores.sort((a, b) => b.score - a.score);
-            
-            console.log(`📊 Loaded ${scores.length} scores`);
-        } catch (error) {
+            scores = all.filter(e => !e.dailyDate).sort(compareEntries);
+            dailyScores = all.filter(e => e.dailyDate).sort(compareEntries);
+
+            console.log(`📊 Loaded ${scores.length} scores, ${dailyScores.length} daily (${storage.name})`);
+            notify();
+        }).catch(error => {
             console.error('Failed to load scores:', error);
-            scores = [];
-        }
+        });
     };
 
     /**
-     * Save scores to localStorage
+     * Save scores through the storage adapter
+     * @returns {Promise<boolean>}
      */
     const saveScores = () => {
-        try {
-            // Keep only top MAX_ENTRIES
-            const toSave = scores.slice(0, MAX_ENTRIES);
-            localStorage.setItem(STORAGE_KEY, JSON.stringify(toSave));
-            
-            if (onUpdate) onUpdate(toSave);
-            
-            return true;
-        } catch (error) {
+        notify();
+
+        return ready.then(() => {
+            if (!storage) return false;
+            return storage.save([...scores, ...dailyScores]);
+        }).catch(error => {
             console.error('Failed to save scores:', error);
             return false;
+        });
+    };
+
+    /**
+     * Query stored scores by an indexed field ('player', 'difficulty', 'date')
+     * @returns {Promise<Array>}
+     */
+    const queryStorage = (index, value) => {
+        return ready.then(() => (storage ? storage.query(index, value) : []));
+    };
+
+    /**
+     * Name of the active storage adapter
+     */
+    const getStorageName = () => (storage ? storage.name : null);
+
+    /**
+     * Load the remote server URL and the offline queue
+     */
+    const loadRemoteConfig = () => {
+        try {
+            remoteUrl = localStorage.getItem(REMOTE_KEY) || null;
+            // Older queues held whole entries - the server only takes ranked games now
+            queue = JSON.parse(localStorage.getItem(QUEUE_KEY) || '[]').filter(q => q && typeof q.gameId === 'string');
+        } catch (error) {
+            console.error('Failed to load leaderboard sync settings:', error);
+            remoteUrl = null;
+            queue = [];
+        }
+    };
+
+    /**
+     * Persist the offline queue
+     */
+    const saveQueue = () => {
+        try {
+            localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+        } catch (error) {
+            console.error('Failed to save score queue:', error);
+        }
+    };
+
+    /**
+     * Connect to a leaderboard server ('' or null goes back to local only)
+     * @returns {Promise<boolean>} result of the first sync
+     */
+    const setRemote = (url) => {
+        remoteUrl = String(url || '').trim().replace(/\/+$/, '') || null;
+
+        try {
+            if (remoteUrl) {
+                localStorage.setItem(REMOTE_KEY, remoteUrl);
+            } else {
+                localStorage.removeItem(REMOTE_KEY);
+            }
+        } catch (error) {
+            console.error('Failed to save leaderboard server:', error);
         }
+
+        syncError = null;
+        if (!remoteUrl) {
+            notify();
+            return Promise.resolve(false);
+        }
+
+        return sync();
+    };
+
+    /**
+     * Verify an entry against its own log - a log malformed enough to throw fails the check
+     * @returns {Object} { valid, errors, result }
+     */
+    const checkEntry = (entry) => {
+        try {
+            return Verifier.verifyEntry(entry);
+        } catch (error) {
+            return { valid: false, errors: [`Game log could not be checked: ${error.message}`], result: null };
+        }
+    };
+
+    /**
+     * Merge entries into a list without duplicating ids
+     * @returns {Object} { merged, added }
+     */
+    const mergeById = (existing, incoming) => {
+        const ids = new Set(existing.map(e => e.id));
+        const added = [];
+        incoming.forEach(entry => {
+            if (entry && entry.id && !ids.has(entry.id)) {
+                ids.add(entry.id);
+                added.push(entry);
+            }
+        });
+        return { merged: [...existing, ...added], added };
+    };
+
+    /**
+     * Send queued submissions in order; stops at the first network failure
+     */
+    const flushQueue = () => {
+        if (!remoteUrl || queue.length === 0) return Promise.resolve();
+
+        const submission = queue[0];
+        return fetch(`${remoteUrl}/scores`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(submission)
+        }).then(response => {
+            if (response.status >= 500) throw new Error(`Server error ${response.status}`);
+            if (!response.ok) console.warn(`Server rejected game ${submission.gameId}: ${response.status}`);
+
+            // Accepted or rejected for good - either way it leaves the queue
+            queue = queue.filter(q => q.gameId !== submission.gameId);
+            saveQueue();
+            return flushQueue();
+        });
+    };
+
+    /**
+     * Download every page of the shared board
+     */
+    const fetchRemote = (page = 1, collected = []) => {
+        return fetch(`${remoteUrl}/scores?page=${page}&pageSize=${SYNC_PAGE_SIZE}`)
+            .then(response => {
+                if (!response.ok) throw new Error(`Server error ${response.status}`);
+                return response.json();
+            })
+            .then(data => {
+                const all = [...collected, ...data.scores];
+                const more = page * data.pageSize < data.total && page < MAX_SYNC_PAGES;
+                return more ? fetchRemote(page + 1, all) : all;
+            });
+    };
+
+    /**
+     * Sync with the server: send the queue, then merge the shared board in
+     * @returns {Promise<boolean>}
+     */
+    const sync = () => {
+        if (!remoteUrl) return Promise.resolve(false);
+        if (syncing) return syncing;
+
+        syncing = ready
+            .then(flushQueue)
+            .then(() => fetchRemote())
+            .then(remote => {
+                // Trust the logs, not the server
+                const verified = remote.filter(entry => checkEntry(entry).valid);
+                const regular = mergeById(scores, verified.filter(e => !e.dailyDate));
+                const daily = mergeById(dailyScores, verified.filter(e => e.dailyDate));
+
+                scores = regular.merged.sort(compareEntries);
+                dailyScores = daily.merged.sort(compareEntries);
+                lastSync = Date.now();
+                syncError = null;
+
+                if (regular.added.length + daily.added.length > 0) {
+                    saveScores();
+                } else {
+                    notify();
+                }
+                return true;
+            })
+            .catch(error => {
+                console.warn('Leaderboard sync failed:', error.message);
+                syncError = error.message;
+                notify();
+                return false;
+            })
+            .then(result => {
+                syncing = null;
+                // Scores added while this sync was running
+                if (result && queue.length > 0) sync();
+                return result;
+            });
+
+        return syncing;
+    };
+
+    /**
+     * Remote mode status for display
+     */
+    const getSyncStatus = () => {
+        return {
+            remoteUrl,
+            queued: queue.length,
+            syncing: !!syncing,
+            lastSync,
+            error: syncError
+        };
     };
 
     /**
@@ -63,58 +350,74 @@ const Leaderboard = (() => {
     const addScore = (playerName, scoreData) => {
         // Validate
         if (!playerName || !scoreData) return false;
+
+        // Only the game log is trusted - every number comes from re-verifying it
+        const check = Verifier.verifyReplay(scoreData.replay);
+        if (!check.valid) {
+            console.warn('Score rejected:', check.errors.join('; '));
+            return false;
+        }
+        const verified = check.result;
         
         // Create score entry
         const entry = {
             id: Date.now() + Math.random().toString(36),
             player: playerName.toUpperCase().substring(0, 20),
-            score: scoreData.score || 0,
-            attempts: scoreData.attempts || 0,
-            time: scoreData.time || 0,
-            difficulty: scoreData.difficulty || 'medium',
+            profileId: scoreData.profileId || null,
+            score: verified.score,
+            attempts: verified.attempts,
+            time: verified.time,
+            difficulty: verified.difficulty,
+            variant: verified.variant,
+            hintsUsed: verified.hintsUsed,
+            inconsistentGuesses: verified.inconsistentGuesses,
+            logicMode: verified.logicMode,
+            replay: scoreData.replay,
+            verified: true,
             date: new Date().toISOString(),
             timestamp: Date.now()
         };
 
+        // Daily Code results go to their own section
+        if (verified.dailyMode) {
+            entry.dailyDate = verified.seed.slice('daily-'.length);
+            entry.seed = verified.seed;
+
+            dailyScores.push(entry);
+            dailyScores.sort(compareEntries);
+
+            saveScores();
+            return entry;
+        }
+
         // Add to scores
         scores.push(entry);
         
         // Sort by score
-        scores.sort((a, b) => b.score - a.score);
-        
-        // Keep only top MAX_ENTRIES
-        if (scores.length > MAX_ENTRIES) {
-            scores = scores.slice(0, MAX_ENTRIES);
-        }
+        scores.sort(compareEntries);
 
         // Save to storage
         saveScores();
 
-        // Track stats
-        updateStats(scoreData);
-
         return entry;
     };
 
     /**
-     * Update game statistics
+     * Submit a ranked game won on the server - the server builds the entry from its own log,
+     * and it joins the local board with the next sync
+     * @returns {Promise<boolean>} false if it stays queued
      */
-    const updateStats = (scoreData) => {
-        // Update total games
-        const totalGames = parseInt(localStorage.getItem('totalGames') || '0') + 1;
-        localStorage.setItem('totalGames', totalGames);
+    const submitRanked = (gameId, playerName, profileId = null) => {
+        if (!remoteUrl || !gameId) return Promise.resolve(false);
 
-        // Update wins if applicable
-        if (scoreData.won) {
-            const totalWins = parseInt(localStorage.getItem('totalWins') || '0') + 1;
-            localStorage.setItem('totalWins', totalWins);
-        }
-
-        // Update best score
-        const bestScore = parseInt(localStorage.getItem('bestScore') || '0');
-        if (scoreData.score > bestScore) {
-            localStorage.setItem('bestScore', scoreData.score);
+        if (!queue.some(q => q.gameId === gameId)) {
+            queue.push({ gameId, player: String(playerName || '').toUpperCase().substring(0, 20), profileId });
+            saveQueue();
         }
+        // A sync already running may have flushed the queue before this game joined it
+        return (syncing || Promise.resolve())
+            .then(() => sync())
+            .then(ok => ok && !queue.some(q => q.gameId === gameId));
     };
 
     /**
@@ -135,6 +438,82 @@ const Leaderboard = (() => {
         return filtered.slice(0, limit);
     };
 
+    /**
+     * Earliest timestamp inside a time range (0 for all-time)
+     */
+    const rangeStart = (range, now = Date.now()) => {
+        if (range === 'today') {
+            const midnight = new Date(now);
+            midnight.setHours(0, 0, 0, 0);
+            return midnight.getTime();
+        }
+        return RANGE_DAYS[range] ? now - RANGE_DAYS[range] * DAY_MS : 0;
+    };
+
+    /**
+     * Query regular scores
+     * @param {Object} options - { difficulty, range ('today'|'week'|'month'|'all'), search,
+     *                             sort ('score'|'attempts'|'time'), page, pageSize }
+     * @returns {Object} { scores, total, page, pages, pageSize }
+     */
+    const queryScores = (options = {}) => {
+        const difficulty = options.difficulty || 'all';
+        const range = TIME_RANGES.includes(options.range) ? options.range : 'all';
+        const search = String(options.search || '').trim().toLowerCase();
+        const sort = SORTS[options.sort] || SORTS.score;
+        const pageSize = Math.max(parseInt(options.pageSize, 10) || DEFAULT_PAGE_SIZE, 1);
+
+        const since = rangeStart(range);
+        const filtered = scores
+            .filter(s => difficulty === 'all' || s.difficulty === difficulty)
+            .filter(s => !since || (s.timestamp || Date.parse(s.date)) >= since)
+            .filter(s => !search || s.player.toLowerCase().includes(search))
+            .sort(sort);
+
+        const pages = Math.max(Math.ceil(filtered.length / pageSize), 1);
+        const page = Math.min(Math.max(parseInt(options.page, 10) || 1, 1), pages);
+
+        // Standard competition ranks ("1, 2, 2, 4") when listed by score
+        let rank = 0;
+        const ranked = filtered.map((entry, index) => {
+            if (index === 0 || sort !== SORTS.score || compareResults(filtered[index - 1], entry) !== 0) {
+                rank = index + 1;
+            }
+            return { ...entry, rank };
+        });
+
+        return {
+            scores: ranked.slice((page - 1) * pageSize, page * pageSize),
+            total: filtered.length,
+            page,
+            pages,
+            pageSize
+        };
+    };
+
+    /**
+     * Get Daily Code scores for a day (defaults to today, UTC)
+     */
+    const getDailyScores = (day = new Date().toISOString().slice(0, 10), limit = 10) => {
+        return dailyScores.filter(s => s.dailyDate === day).slice(0, limit);
+    };
+
+    /**
+     * Get entries that have a recorded replay (regular and daily)
+     */
+    const getReplays = () => {
+        return [...scores, ...dailyScores]
+            .filter(s => s.replay && Array.isArray(s.replay.events))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    };
+
+    /**
+     * Find an entry by id
+     */
+    const getScoreById = (id) => {
+        return scores.find(s => s.id === id) || dailyScores.find(s => s.id === id) || null;
+    };
+
     /**
      * Get player's best score
      */
@@ -145,15 +524,37 @@ const Leaderboard = (() => {
         
         if (playerScores.length === 0) return null;
         
-        return playerScores.sort((a, b) => b.score - a.score)[0];
+        return playerScores.sort(compareEntries)[0];
     };
 
     /**
-     * Get rank for a score
+     * Entries a rank is counted among
+     * @param {Object} scope - { difficulty, variant, dailyDate } (omitted = any)
      */
-    const getRank = (score) => {
-        const index = scores.findIndex(s => s.score <= score);
-        return index === -1 ? scores.length + 1 : index + 1;
+    const getRankPool = (scope = {}) => {
+        const pool = scope.dailyDate ? dailyScores.filter(s => s.dailyDate === scope.dailyDate) : scores;
+        return pool.filter(s => (!scope.difficulty || scope.difficulty === 'all' || s.difficulty === scope.difficulty) &&
+            (!scope.variant || (s.variant || 'classic') === scope.variant));
+    };
+
+    /**
+     * Standard competition rank ("1, 2, 2, 4") a result has, or would have, in a scope
+     * @param {Object|number} result - { score, attempts, time } (or just a score)
+     * @param {Object} scope - { difficulty, variant, dailyDate }
+     * @returns {number} 1 + the number of entries with a strictly better result
+     */
+    const getRank = (result, scope = {}) => {
+        const candidate = typeof result === 'number' ? { score: result, attempts: 0, time: 0 } : result;
+        const better = getRankPool(scope).filter(s => compareResults(s, candidate) < 0);
+        return better.length + 1;
+    };
+
+    /**
+     * Where a finished game would place before it's saved
+     * @returns {Object} { rank, total } - total counts the new entry
+     */
+    const getProspectiveRank = (result, scope = {}) => {
+        return { rank: getRank(result, scope), total: getRankPool(scope).length + 1 };
     };
 
     /**
@@ -169,26 +570,43 @@ const Leaderboard = (() => {
     const clearAll = () => {
         if (confirm('Are you sure you want to clear all scores?')) {
             scores = [];
+            dailyScores = [];
             saveScores();
-            
-            // Reset stats
-            localStorage.setItem('totalGames', '0');
-            localStorage.setItem('totalWins', '0');
-            localStorage.setItem('bestScore', '0');
-            
             return true;
         }
         return false;
     };
 
     /**
-     * Export scores as JSON
+     * Quote a CSV cell; cells that a spreadsheet would run as a formula are prefixed
      */
-    const exportScores = () => {
-        const dataStr = JSON.stringify(scores, null, 2);
-        const dataUri = 'data:application/json;charset=utf-8,'+ encodeURIComponent(dataStr);
+    const toCsvCell = (value) => {
+        if (value === undefined || value === null) return '';
+        let text = String(value);
+        if (/^[=+\-@\t\r]/.test(text) && typeof value !== 'number') text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    /**
+     * Convert entries to CSV (one row per entry, replays left out)
+     */
+    const toCsv = (entries) => {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => toCsvCell(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+    };
+
+    /**
+     * Export scores (regular and daily) as a JSON or CSV download
+     * @param {string} format - 'json' (default) or 'csv'
+     */
+    const exportScores = (format = 'json') => {
+        const entries = [...scores, ...dailyScores];
+        const csv = format === 'csv';
+        const dataStr = csv ? toCsv(entries) : JSON.stringify(entries, null, 2);
+        const mimeType = csv ? 'text/csv' : 'application/json';
+        const dataUri = `data:${mimeType};charset=utf-8,` + encodeURIComponent(dataStr);
         
-        const exportFileDefaultName = `cyber-lock-scores-${new Date().toISOString()}.json`;
+        const exportFileDefaultName = `cyber-lock-scores-${new Date().toISOString()}.${csv ? 'csv' : 'json'}`;
         
         const linkElement = document.createElement('a');
         linkElement.setAttribute('href', dataUri);
@@ -196,23 +614,125 @@ const Leaderboard = (() => {
         linkElement.click();
     };
 
+    /**
+     * Check an entry's fields before looking at its log
+     * @returns {Array} reasons it is invalid (empty if valid)
+     */
+    const validateEntry = (entry) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return ['Not an object'];
+
+        const reasons = [];
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+        if (typeof entry.id !== 'string' || !entry.id.trim() || entry.id.length > MAX_ID_LENGTH) {
+            reasons.push('id must be a non-empty string');
+        }
+        if (typeof entry.player !== 'string' || !entry.player.trim() || entry.player.length > MAX_PLAYER_LENGTH) {
+            reasons.push(`player must be 1-${MAX_PLAYER_LENGTH} characters`);
+        }
+        if (!isInt(entry.score, SCORE_RANGE.min, SCORE_RANGE.max)) {
+            reasons.push(`score must be an integer ${SCORE_RANGE.min}-${SCORE_RANGE.max}`);
+        }
+        if (!isInt(entry.attempts, 1, MAX_ATTEMPTS)) {
+            reasons.push(`attempts must be an integer 1-${MAX_ATTEMPTS}`);
+        }
+        if (!Rules.DIFFICULTY_SETTINGS[entry.difficulty]) {
+            reasons.push(`difficulty must be one of ${Object.keys(Rules.DIFFICULTY_SETTINGS).join(', ')}`);
+        }
+        if (entry.time !== undefined && !isInt(entry.time, 0, MAX_TIME)) {
+            reasons.push(`time must be an integer 0-${MAX_TIME}`);
+        }
+
+        const date = typeof entry.date === 'string' ? Date.parse(entry.date) : NaN;
+        if (isNaN(date)) {
+            reasons.push('date must be an ISO date string');
+        } else if (date < EARLIEST_DATE || date > Date.now() + DAY_MS) {
+            reasons.push('date is out of range');
+        }
+
+        if (entry.dailyDate !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(entry.dailyDate)) {
+            reasons.push('dailyDate must be YYYY-MM-DD');
+        }
+
+        return reasons;
+    };
+
     /**
      * Import scores from JSON
+     * @param {string} jsonData - an exported score list
+     * @param {Object} options - { mode: 'merge' (default) | 'replace' }
+     * @returns {Object} report { success, mode, total, accepted, duplicates, rejected, error }
+     *   accepted/duplicates: [{ index, id, player, score }], rejected: [{ index, id, player, reasons }]
      */
-    const importScores = (jsonData) => {
+    const importScores = (jsonData, options = {}) => {
+        const mode = options.mode === 'replace' ? 'replace' : 'merge';
+        const report = { success: false, mode, total: 0, accepted: [], duplicates: [], rejected: [], error: null };
+
+        let imported;
         try {
-            const imported = JSON.parse(jsonData);
-            if (Array.isArray(imported)) {
-                scores = [...scores, ...imported];
-                scores.sort((a, b) => b.score - a.score);
-                scores = scores.slice(0, MAX_ENTRIES);
-                saveScores();
-                return true;
-            }
+            imported = JSON.parse(jsonData);
         } catch (error) {
-            console.error('Failed to import scores:', error);
+            report.error = `Not valid JSON: ${error.message}`;
+            return report;
         }
-        return false;
+
+        if (!Array.isArray(imported)) {
+            report.error = 'Expected a list of scores';
+            return report;
+        }
+        report.total = imported.length;
+
+        // Replace starts from nothing, merge dedups against what we have
+        const known = new Set(mode === 'merge' ? [...scores, ...dailyScores].map(s => s.id) : []);
+        const entries = [];
+
+        imported.forEach((entry, index) => {
+            const summary = {
+                index,
+                id: entry && typeof entry.id === 'string' ? entry.id : null,
+                player: entry && typeof entry.player === 'string' ? entry.player : null
+            };
+
+            const reasons = validateEntry(entry);
+            if (reasons.length === 0) {
+                // Same check as addScore - entries must match their own logs
+                const check = checkEntry(entry);
+                if (!check.valid) reasons.push(...check.errors);
+            }
+            if (reasons.length > 0) {
+                report.rejected.push({ ...summary, reasons });
+                return;
+            }
+
+            if (known.has(entry.id)) {
+                report.duplicates.push({ ...summary, score: entry.score });
+                return;
+            }
+            known.add(entry.id);
+
+            entries.push({ ...entry, player: entry.player.toUpperCase(), verified: true });
+            report.accepted.push({ ...summary, score: entry.score });
+        });
+
+        if (mode === 'replace' && entries.length === 0) {
+            report.error = 'Nothing valid to replace the leaderboard with';
+            return report;
+        }
+
+        if (mode === 'replace') {
+            scores = [];
+            dailyScores = [];
+        }
+        scores = [...scores, ...entries.filter(e => !e.dailyDate)].sort(compareEntries);
+        dailyScores = [...dailyScores, ...entries.filter(e => e.dailyDate)].sort(compareEntries);
+
+        if (report.rejected.length > 0) {
+            console.warn(`Rejected ${report.rejected.length} of ${report.total} imported scores`);
+        }
+
+        saveScores();
+        report.success = true;
+        return report;
     };
 
     // Public API
@@ -221,12 +741,25 @@ const Leaderboard = (() => {
         addScore,
         getScores,
         getTopScores,
+        queryScores,
+        getDailyScores,
+        getReplays,
+        getScoreById,
         getPlayerBest,
         getRank,
+        getProspectiveRank,
         formatScore,
         clearAll,
         exportScores,
-        importScores
+        toCsv,
+        importScores,
+        validateEntry,
+        queryStorage,
+        getStorageName,
+        setRemote,
+        sync,
+        submitRanked,
+        getSyncStatus
     };
 })();
 
@@ -0,0 +1,314 @@
+/**
+ * MATCH MODULE - Local Two-Player Duel Controller
+ * Version: 2.0.0
+ */
+
+const Match = (() => {
+    'use strict';
+
+    const BEST_OF_OPTIONS = [1, 3, 5];
+
+    // Match state
+    let active = false;
+    let players = [];
+    let bestOf = 3;
+    let round = 1;
+    let leg = 0;          // 0: first player breaks, 1: second player breaks
+    let legResults = [];  // attempts used per leg of the current round
+    let rounds = [];
+    let wins = [0, 0];
+
+    /**
+     * Show or hide a modal by id
+     */
+    const toggleModal = (id, show) => {
+        const modal = document.getElementById(id);
+        if (modal) modal.classList.toggle('show', show);
+    };
+
+    /**
+     * Open the duel setup dialog
+     */
+    const openSetup = () => {
+        toggleModal('duelSetupModal', true);
+        document.getElementById('duelPlayerA')?.focus();
+    };
+
+    /**
+     * Start a match from the setup dialog
+     */
+    const start = () => {
+        const nameA = document.getElementById('duelPlayerA')?.value.trim().toUpperCase() || 'PLAYER A';
+        const nameB = document.getElementById('duelPlayerB')?.value.trim().toUpperCase() || 'PLAYER B';
+        const selected = parseInt(document.getElementById('duelBestOf')?.value, 10);
+
+        players = [nameA.substring(0, 20), nameB.substring(0, 20)];
+        bestOf = BEST_OF_OPTIONS.includes(selected) ? selected : 3;
+        round = 1;
+        leg = 0;
+        legResults = [];
+        rounds = [];
+        wins = [0, 0];
+        active = true;
+
+        // Player-set codes can't be daily, race or ranked codes
+        Race.leave();
+        Ranked.leave();
+        Game.setDailyMode(false);
+        Game.setLocked(true);
+
+        toggleModal('duelSetupModal', false);
+        promptSecret('');
+    };
+
+    /**
+     * Index of the player setting the code for the current leg
+     */
+    const getSetter = () => (leg === 0 ? 1 : 0);
+
+    /**
+     * Index of the player breaking the code for the current leg
+     */
+    const getBreaker = () => leg;
+
+    /**
+     * Ask the setter to enter a secret behind a masked input
+     */
+    const promptSecret = (info) => {
+        const state = Game.getState();
+        const title = document.getElementById('duelSecretTitle');
+        const infoEl = document.getElementById('duelSecretInfo');
+        const input = document.getElementById('duelSecretInput');
+
+        if (title) {
+            title.textContent = `${players[getSetter()]}: SET A CODE FOR ${players[getBreaker()]}`;
+        }
+        if (infoEl) {
+            const constraint = Game.getVariant().constraint;
+            infoEl.textContent = `${info}${info ? ' ' : ''}Enter ${state.codeLength} symbols from ${state.symbols}` +
+                `${constraint ? ` (${constraint})` : ''}. ${players[getBreaker()]}, look away!`;
+        }
+        if (input) {
+            input.value = '';
+            input.maxLength = state.codeLength;
+        }
+
+        updateStatus();
+        toggleModal('duelSecretModal', true);
+        input?.focus();
+    };
+
+    /**
+     * Lock in the setter's secret and hand over to the breaker
+     */
+    const submitSecret = () => {
+        const input = document.getElementById('duelSecretInput');
+        const code = input?.value || '';
+
+        if (!Game.isValidCode(code)) {
+            const state = Game.getState();
+            UI.showMessage(`Code must be ${state.codeLength} symbols from ${state.symbols}!`, 'error');
+            input?.classList.add('shake');
+            setTimeout(() => input?.classList.remove('shake'), 300);
+            return;
+        }
+
+        if (input) input.value = '';
+        toggleModal('duelSecretModal', false);
+
+        Game.reset({ secret: code });
+        updateStatus();
+        UI.showMessage(`${players[getBreaker()]}: crack ${players[getSetter()]}'s code!`, 'info');
+    };
+
+    /**
+     * Handle the end of a leg (hooked into Game's onGameEnd via UI)
+     */
+    const handleGameEnd = (result) => {
+        if (!active) return;
+
+        const state = Game.getState();
+        // A failed crack counts as one attempt more than allowed
+        const used = result === 'win' ? state.attempts : state.maxAttempts + 1;
+        legResults[leg] = { won: result === 'win', attempts: used, secret: state.secret };
+
+        const legText = result === 'win' ?
+            `${players[getBreaker()]} cracked it in ${state.attempts}.` :
+            `${players[getBreaker()]} failed. Code was ${state.secret}.`;
+
+        if (leg === 0) {
+            leg = 1;
+            setTimeout(() => promptSecret(legText), 1500);
+            return;
+        }
+
+        finishRound();
+    };
+
+    /**
+     * Score a round once both players have broken a code
+     */
+    const finishRound = () => {
+        const [a, b] = legResults;
+        let winner = null;
+        if (a.attempts < b.attempts) winner = 0;
+        if (b.attempts < a.attempts) winner = 1;
+        if (winner !== null) wins[winner]++;
+
+        rounds.push({ round, attempts: [a.attempts, b.attempts], won: [a.won, b.won], winner });
+
+        const needed = Math.ceil(bestOf / 2);
+        const decided = wins[0] >= needed || wins[1] >= needed || round >= bestOf;
+
+        const roundText = winner === null ?
+            `Round ${round} tied.` :
+            `Round ${round} to ${players[winner]}.`;
+
+        if (decided) {
+            setTimeout(showResults, 1500);
+            UI.showMessage(roundText, 'success');
+            updateStatus();
+            return;
+        }
+
+        round++;
+        leg = 0;
+        legResults = [];
+        setTimeout(() => promptSecret(roundText), 1500);
+    };
+
+    /**
+     * Build a results row, cells set as text (player names are typed in freely)
+     * @param {Array} cells - cell texts; the last one is the winner column
+     */
+    const createResultsRow = (cells, className = '') => {
+        const row = document.createElement('div');
+        row.className = `duel-results-row ${className}`.trim();
+        cells.forEach((text, i) => {
+            const cell = document.createElement('div');
+            if (i === cells.length - 1 && !className) cell.className = 'text-accent';
+            cell.textContent = text;
+            row.appendChild(cell);
+        });
+        return row;
+    };
+
+    /**
+     * Show the match results screen
+     */
+    const showResults = () => {
+        const body = document.getElementById('duelResultsBody');
+        const title = document.getElementById('duelResultsTitle');
+
+        let champion = 'DRAW';
+        if (wins[0] > wins[1]) champion = `${players[0]} WINS`;
+        if (wins[1] > wins[0]) champion = `${players[1]} WINS`;
+
+        if (title) title.textContent = `${champion} ${wins[0]} - ${wins[1]}`;
+
+        if (body) {
+            const format = (attempts, won) => (won ? attempts : '✖');
+            body.replaceChildren(
+                createResultsRow(['ROUND', players[0], players[1], 'WINNER'], 'duel-results-head'),
+                ...rounds.map(r => createResultsRow([
+                    `#${r.round}`,
+                    format(r.attempts[0], r.won[0]),
+                    format(r.attempts[1], r.won[1]),
+                    r.winner === null ? 'TIE' : players[r.winner]
+                ]))
+            );
+        }
+
+        active = false;
+        Game.setLocked(false);
+        updateStatus();
+        toggleModal('duelResultsModal', true);
+    };
+
+    /**
+     * Play again with the same players and format
+     */
+    const rematch = () => {
+        toggleModal('duelResultsModal', false);
+        // Loser of the last match breaks first
+        if (wins[0] > wins[1]) players.reverse();
+
+        round = 1;
+        leg = 0;
+        legResults = [];
+        rounds = [];
+        wins = [0, 0];
+        active = true;
+        Game.setLocked(true);
+        promptSecret('');
+    };
+
+    /**
+     * Leave the match and return to solo play
+     */
+    const cancel = () => {
+        ['duelSetupModal', 'duelSecretModal', 'duelResultsModal'].forEach(id => toggleModal(id, false));
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.mode === 'free');
+        });
+        if (!active) return;
+
+        active = false;
+        Game.setLocked(false);
+        updateStatus();
+        Game.reset();
+    };
+
+    /**
+     * Update the match status bar
+     */
+    const updateStatus = () => {
+        const status = document.getElementById('duelStatus');
+        if (!status) return;
+
+        if (!active) {
+            status.style.display = 'none';
+            return;
+        }
+
+        status.style.display = 'block';
+        status.textContent = `ROUND ${round}/${bestOf} · ${players[0]} ${wins[0]} - ${wins[1]} ${players[1]} · ` +
+            `${players[getBreaker()]} IS BREAKING`;
+    };
+
+    /**
+     * Is a match in progress
+     */
+    const isActive = () => active;
+
+    /**
+     * Get match state
+     */
+    const getState = () => {
+        return {
+            active,
+            players: [...players],
+            bestOf,
+            round,
+            breaker: players[getBreaker()],
+            setter: players[getSetter()],
+            wins: [...wins],
+            rounds: rounds.map(r => ({ ...r }))
+        };
+    };
+
+    // Public API
+    return {
+        openSetup,
+        start,
+        submitSecret,
+        handleGameEnd,
+        rematch,
+        cancel,
+        isActive,
+        getState
+    };
+})();
+
+// Freeze object
+Object.freeze(Match);
\ No newline at end of file
@@ -0,0 +1,76 @@
+/**
+ * NOTES MODULE - Pencil Marks Panel
+ * Version: 2.0.0
+ *
+ * A grid of every symbol at every position. Clicking a mark cycles it
+ * unknown -> ruled in -> ruled out; the marks live in the game state, so
+ * they are saved with the in-progress game.
+ */
+
+const Notes = (() => {
+    'use strict';
+
+    const MARK_LABELS = { unknown: 'unknown', in: 'ruled in', out: 'ruled out' };
+
+    let grid = null;
+    let layout = '';
+
+    /**
+     * Initialize the panel
+     */
+    const init = () => {
+        grid = document.getElementById('notesGrid');
+
+        grid?.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-symbol]');
+            if (cell) Game.cycleNote(parseInt(cell.dataset.position, 10), cell.dataset.symbol);
+        });
+    };
+
+    /**
+     * Render the marks for a game state (the grid is rebuilt only when the code configuration changes)
+     */
+    const render = (state) => {
+        if (!grid) return;
+
+        const key = `${state.codeLength}:${state.symbols}`;
+        if (key !== layout) {
+            layout = key;
+            grid.style.setProperty('--note-columns', state.symbols.length);
+            grid.innerHTML = Array.from({ length: state.codeLength }, (_, position) => `
+                <div class="notes-row" role="group" aria-label="Position ${position + 1}">
+                    <span class="notes-position">${position + 1}</span>
+                    ${state.symbols.split('').map(symbol => `
+                        <button type="button" class="note-cell" data-position="${position}" data-symbol="${symbol}">${symbol}</button>
+                    `).join('')}
+                </div>
+            `).join('');
+        }
+
+        grid.querySelectorAll('.note-cell').forEach(cell => {
+            const mark = state.notes[cell.dataset.position][cell.dataset.symbol] || 'unknown';
+            cell.classList.toggle('note-in', mark === 'in');
+            cell.classList.toggle('note-out', mark === 'out');
+            cell.disabled = state.gameOver;
+            cell.setAttribute('aria-label',
+                `Position ${parseInt(cell.dataset.position, 10) + 1}, ${cell.dataset.symbol}: ${MARK_LABELS[mark]}`);
+        });
+    };
+
+    /**
+     * Clear every mark
+     */
+    const clear = () => {
+        if (Game.clearNotes()) UI.showMessage('Notes cleared', 'info');
+    };
+
+    // Public API
+    return {
+        init,
+        render,
+        clear
+    };
+})();
+
+// Freeze object
+Object.freeze(Notes);
@@ -0,0 +1,375 @@
+/**
+ * PROFILES MODULE - Player Profiles & Per-Player Statistics
+ * Version: 2.0.0
+ *
+ * Stats are derived from the profile's GameHistory records, plus the
+ * totals carried over from before games were recorded.
+ */
+
+const Profiles = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cyber_lock_profiles';
+    const STORAGE_VERSION = 2;
+    const MAX_PROFILES = 12;
+    const MAX_NAME_LENGTH = 20;
+    const AVATARS = ['🦊', '🐺', '🦉', '🐙', '🤖', '👾', '🐉', '🦄', '👻', '🐱', '🐸', '🦈'];
+
+    // Global stat keys used before profiles existed
+    const LEGACY_KEYS = ['totalGames', 'totalWins', 'bestScore'];
+
+    let profiles = [];
+    let activeId = null;
+    let onChange = null;
+
+    /**
+     * Totals carried over from before game records existed
+     */
+    const createCarryOver = () => ({ games: 0, wins: 0, bestScore: 0 });
+
+    /**
+     * Initialize profiles and ask who is playing
+     */
+    const init = (callback = null) => {
+        onChange = callback;
+        loadProfiles();
+
+        if (profiles.length === 0) migrateLegacyStats();
+        if (!getActive() && profiles.length > 0) activeId = profiles[0].id;
+
+        renderBadge();
+        openPicker();
+        console.log(`👤 ${profiles.length} profile(s) loaded`);
+    };
+
+    /**
+     * Load profiles from localStorage
+     */
+    const loadProfiles = () => {
+        try {
+            const stored = localStorage.getItem(STORAGE_KEY);
+            const data = stored ? JSON.parse(stored) : null;
+            if (data && data.version === 1 && Array.isArray(data.profiles)) {
+                // v1 kept running counters - keep their totals as a carry-over
+                data.profiles = data.profiles.map(({ stats, ...profile }) => ({
+                    ...profile,
+                    carryOver: {
+                        games: stats ? stats.games : 0,
+                        wins: stats ? stats.wins : 0,
+                        bestScore: stats ? stats.bestScore : 0
+                    }
+                }));
+                data.version = STORAGE_VERSION;
+            }
+            if (data && data.version === STORAGE_VERSION && Array.isArray(data.profiles)) {
+                profiles = data.profiles;
+                activeId = data.activeId;
+            }
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+            profiles = [];
+            activeId = null;
+        }
+    };
+
+    /**
+     * Save profiles to localStorage
+     */
+    const saveProfiles = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                version: STORAGE_VERSION,
+                activeId,
+                profiles
+            }));
+        } catch (error) {
+            console.error('Failed to save profiles:', error);
+        }
+    };
+
+    /**
+     * Turn the old device-wide counters into a first profile
+     */
+    const migrateLegacyStats = () => {
+        const games = parseInt(localStorage.getItem('totalGames') || '0', 10);
+        if (!games) return;
+
+        const profile = create('PLAYER', AVATARS[0]);
+        profile.carryOver = {
+            games,
+            wins: parseInt(localStorage.getItem('totalWins') || '0', 10),
+            bestScore: parseInt(localStorage.getItem('bestScore') || '0', 10)
+        };
+        saveProfiles();
+
+        LEGACY_KEYS.forEach(key => localStorage.removeItem(key));
+    };
+
+    /**
+     * Stable profile id
+     */
+    const createId = () => `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+    /**
+     * Create a profile and make it active
+     * @returns {Object|null} the profile, or null if the name is empty or there are too many
+     */
+    const create = (name, avatar) => {
+        const displayName = String(name || '').trim().toUpperCase().substring(0, MAX_NAME_LENGTH);
+        if (!displayName || profiles.length >= MAX_PROFILES) return null;
+
+        const profile = {
+            id: createId(),
+            name: displayName,
+            avatar: AVATARS.includes(avatar) ? avatar : AVATARS[profiles.length % AVATARS.length],
+            createdAt: new Date().toISOString(),
+            carryOver: createCarryOver()
+        };
+        profiles.push(profile);
+        activeId = profile.id;
+
+        saveProfiles();
+        notify();
+        return profile;
+    };
+
+    /**
+     * Switch the active profile
+     */
+    const select = (id) => {
+        if (!profiles.some(p => p.id === id)) return false;
+
+        activeId = id;
+        saveProfiles();
+        notify();
+        return true;
+    };
+
+    /**
+     * Delete a profile and its stats
+     */
+    const remove = (id) => {
+        const profile = profiles.find(p => p.id === id);
+        if (!profile || !confirm(`Delete ${profile.name} and all their stats?`)) return false;
+
+        profiles = profiles.filter(p => p.id !== id);
+        GameHistory.clearProfile(id);
+        if (activeId === id) activeId = profiles.length > 0 ? profiles[0].id : null;
+
+        saveProfiles();
+        notify();
+        return true;
+    };
+
+    /**
+     * Get the active profile (or null)
+     */
+    const getActive = () => profiles.find(p => p.id === activeId) || null;
+
+    /**
+     * List profiles
+     */
+    const getProfiles = () => profiles.map(p => ({ id: p.id, name: p.name, avatar: p.avatar }));
+
+    /**
+     * Clear the active profile's stats
+     */
+    const resetStats = () => {
+        const profile = getActive();
+        if (!profile || !confirm(`Reset all stats for ${profile.name}?`)) return false;
+
+        profile.carryOver = createCarryOver();
+        GameHistory.clearProfile(profile.id);
+        saveProfiles();
+        notify();
+        return true;
+    };
+
+    /**
+     * Statistics for a profile (defaults to the active one), derived from its game records
+     */
+    const getStats = (id = activeId) => {
+        const profile = profiles.find(p => p.id === id);
+        const carryOver = profile ? profile.carryOver : createCarryOver();
+        const games = GameHistory.getGames(id);
+        const wins = games.filter(g => g.won);
+
+        const sum = (list, field) => list.reduce((total, g) => total + g[field], 0);
+        const average = (total, count, places = 0) => {
+            const factor = Math.pow(10, places);
+            return count ? Math.round((total / count) * factor) / factor : 0;
+        };
+
+        const attemptsDistribution = {};
+        wins.forEach(g => {
+            attemptsDistribution[g.attempts] = (attemptsDistribution[g.attempts] || 0) + 1;
+        });
+
+        // Solve time is only known for games with a clock running
+        const timedWins = wins.filter(g => g.time > 0);
+
+        const byDifficulty = {};
+        Object.keys(Rules.DIFFICULTY_SETTINGS).forEach(level => {
+            const played = games.filter(g => g.difficulty === level);
+            const won = played.filter(g => g.won);
+            byDifficulty[level] = {
+                games: played.length,
+                wins: won.length,
+                winRate: average(won.length * 100, played.length),
+                bestScore: Math.max(0, ...won.map(g => g.score)),
+                averageAttempts: average(sum(won, 'attempts'), won.length, 1)
+            };
+        });
+
+        const totalGames = carryOver.games + games.length;
+        const totalWins = carryOver.wins + wins.length;
+        const streaks = GameHistory.getStreaks(games);
+
+        return {
+            totalGames,
+            totalWins,
+            losses: games.filter(g => g.result !== 'win' && g.result !== 'timeout').length,
+            timeouts: games.filter(g => g.result === 'timeout').length,
+            winRate: average(totalWins * 100, totalGames),
+            bestScore: Math.max(carryOver.bestScore, ...wins.map(g => g.score)),
+            averageAttempts: average(sum(wins, 'attempts'), wins.length),
+            attemptsDistribution,
+            averageSolveTime: average(sum(timedWins, 'time'), timedWins.length),
+            hintsUsed: sum(games, 'hintsUsed'),
+            averageHints: average(sum(games, 'hintsUsed'), games.length, 1),
+            currentStreak: streaks.current,
+            longestStreak: streaks.longest,
+            byDifficulty
+        };
+    };
+
+    /**
+     * Tell listeners the active profile or its stats changed
+     */
+    const notify = () => {
+        renderBadge();
+        if (onChange) onChange(getActive());
+        window.dispatchEvent(new CustomEvent('profilechange', { detail: { profile: getActive() } }));
+    };
+
+    /**
+     * Show the active profile in the header
+     */
+    const renderBadge = () => {
+        const badge = document.getElementById('profileToggle');
+        if (!badge) return;
+
+        const profile = getActive();
+        badge.textContent = profile ? profile.avatar : '👤';
+        badge.title = profile ? `Playing as ${profile.name}` : 'Choose a profile';
+    };
+
+    /**
+     * Show the profile picker
+     */
+    const openPicker = () => {
+        const modal = document.getElementById('profileModal');
+        if (!modal) return;
+
+        renderPicker();
+        modal.classList.add('show');
+    };
+
+    /**
+     * Hide the profile picker (only once someone is playing)
+     */
+    const closePicker = () => {
+        if (!getActive()) return;
+        document.getElementById('profileModal')?.classList.remove('show');
+    };
+
+    /**
+     * Render the profile list and avatar choices
+     */
+    const renderPicker = () => {
+        const list = document.getElementById('profileList');
+        const avatars = document.getElementById('profileAvatars');
+
+        if (list) {
+            list.innerHTML = profiles.length === 0 ?
+                '<p class="modal-text">No profiles yet - create one to start.</p>' :
+                profiles.map(p => ({ ...p, stats: getStats(p.id) })).map(p => `
+                    <div class="profile-row ${p.id === activeId ? 'active' : ''}">
+                        <button class="profile-pick" data-profile="${p.id}">
+                            <span class="profile-avatar">${p.avatar}</span>
+                            <span class="profile-name"></span>
+                            <span class="profile-record">${p.stats.totalWins}/${p.stats.totalGames} WON</span>
+                        </button>
+                        <button class="profile-delete" data-delete="${p.id}" aria-label="Delete profile">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `).join('');
+
+            // Names are user text - set them as text
+            list.querySelectorAll('.profile-pick').forEach(btn => {
+                const profile = profiles.find(p => p.id === btn.dataset.profile);
+                btn.querySelector('.profile-name').textContent = profile.name;
+                btn.addEventListener('click', () => {
+                    select(profile.id);
+                    closePicker();
+                });
+            });
+            list.querySelectorAll('.profile-delete').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    if (remove(btn.dataset.delete)) renderPicker();
+                });
+            });
+        }
+
+        if (avatars && !avatars.children.length) {
+            avatars.innerHTML = AVATARS.map((a, i) => `
+                <button class="avatar-choice ${i === 0 ? 'active' : ''}" data-avatar="${a}" aria-label="Avatar ${a}">${a}</button>
+            `).join('');
+            avatars.querySelectorAll('.avatar-choice').forEach(btn => {
+                btn.addEventListener('click', () => {
+                    avatars.querySelectorAll('.avatar-choice').forEach(b => b.classList.remove('active'));
+                    btn.classList.add('active');
+                });
+            });
+        }
+    };
+
+    /**
+     * Create a profile from the picker form
+     */
+    const createFromPicker = () => {
+        const input = document.getElementById('profileNameInput');
+        const avatar = document.querySelector('#profileAvatars .avatar-choice.active')?.dataset.avatar;
+
+        if (profiles.length >= MAX_PROFILES) {
+            UI.showMessage(`At most ${MAX_PROFILES} profiles!`, 'error');
+            return;
+        }
+        if (!create(input?.value, avatar)) {
+            UI.showMessage('Enter a profile name!', 'error');
+            return;
+        }
+
+        if (input) input.value = '';
+        closePicker();
+    };
+
+    // Public API
+    return {
+        init,
+        create,
+        select,
+        remove,
+        getActive,
+        getProfiles,
+        resetStats,
+        getStats,
+        openPicker,
+        closePicker,
+        createFromPicker
+    };
+})();
+
+// Freeze object
+Object.freeze(Profiles);
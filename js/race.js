@@ -0,0 +1,243 @@
+/**
+ * RACE MODULE - Networked Multiplayer Client
+ * Version: 2.0.0
+ */
+
+const Race = (() => {
+    'use strict';
+
+    const DEFAULT_URL = 'ws://localhost:8787/race';
+
+    let socket = null;
+    let active = false;
+    let room = null;
+    let playerId = null;
+    let players = [];
+
+    /**
+     * Show or hide the connect dialog
+     */
+    const toggleModal = (show) => {
+        document.getElementById('raceModal')?.classList.toggle('show', show);
+    };
+
+    /**
+     * Open the connect dialog
+     */
+    const openSetup = () => {
+        const urlInput = document.getElementById('raceServerUrl');
+        if (urlInput && !urlInput.value) urlInput.value = DEFAULT_URL;
+        toggleModal(true);
+    };
+
+    /**
+     * Close the connect dialog
+     */
+    const closeSetup = () => {
+        toggleModal(false);
+    };
+
+    /**
+     * Connect and create or join a room
+     */
+    const connect = () => {
+        const url = document.getElementById('raceServerUrl')?.value.trim() || DEFAULT_URL;
+        const name = document.getElementById('raceName')?.value.trim() || 'PLAYER';
+        const roomCode = document.getElementById('raceRoom')?.value.trim().toUpperCase();
+
+        leave();
+        Match.cancel();
+        Ranked.leave();
+
+        let ws;
+        try {
+            ws = new WebSocket(url);
+        } catch (error) {
+            UI.showMessage(`Cannot reach race server: ${error.message}`, 'error');
+            return;
+        }
+        socket = ws;
+
+        ws.addEventListener('open', () => {
+            if (roomCode) {
+                send({ type: 'join', room: roomCode, name });
+            } else {
+                const state = Game.getState();
+                send({
+                    type: 'create',
+                    name,
+                    codeLength: state.codeLength,
+                    symbolSet: state.symbolSet,
+                    variant: state.variant
+                });
+            }
+        });
+
+        ws.addEventListener('message', (event) => {
+            try {
+                handleMessage(JSON.parse(event.data));
+            } catch (error) {
+                console.error('Bad race message:', error);
+            }
+        });
+
+        ws.addEventListener('close', () => {
+            // Ignore sockets we already replaced
+            if (socket !== ws) return;
+            if (active) {
+                UI.showMessage('Disconnected from race server', 'error');
+                stop();
+            }
+            socket = null;
+        });
+
+        ws.addEventListener('error', () => {
+            UI.showMessage('Race server connection failed', 'error');
+        });
+
+        toggleModal(false);
+    };
+
+    /**
+     * Send a message to the server
+     */
+    const send = (message) => {
+        if (socket && socket.readyState === WebSocket.OPEN) {
+            socket.send(JSON.stringify(message));
+        }
+    };
+
+    /**
+     * Handle a server message
+     */
+    const handleMessage = (message) => {
+        switch (message.type) {
+            case 'joined':
+                active = true;
+                room = message.room;
+                playerId = message.playerId;
+                Game.startRemoteGame({
+                    submit: (guess) => send({ type: 'guess', sequence: guess }),
+                    codeLength: message.codeLength,
+                    symbolSet: message.symbolSet,
+                    variant: message.variant,
+                    maxAttempts: message.maxAttempts
+                });
+                UI.showMessage(`Joined room ${room}. Share the code - first to crack it wins!`, 'success');
+                render();
+                break;
+
+            case 'feedback': {
+                const result = Game.applyRemoteFeedback(message);
+                if (!result.gameWon) {
+                    UI.showMessage(result.message, result.success ? 'info' : 'error');
+                }
+                break;
+            }
+
+            case 'players':
+                players = message.players;
+                render();
+                break;
+
+            case 'finished': {
+                const me = players.find(p => p.id === playerId);
+                const won = me && me.won;
+                Game.endRemoteGame(won ? 'win' : 'lose', message.secret);
+                if (!won) {
+                    UI.showMessage(message.winner ?
+                        `🏁 ${message.winner} cracked ${message.secret} first!` :
+                        `🏁 Nobody cracked it. Code was ${message.secret}`, 'error');
+                }
+                break;
+            }
+
+            case 'error':
+                UI.showMessage(`Server: ${message.message}`, 'error');
+                break;
+        }
+    };
+
+    /**
+     * Handle the end of the local game (hooked into Game's onGameEnd via UI)
+     */
+    const handleGameEnd = (result) => {
+        if (result === 'win') {
+            UI.showMessage(`🏁 You cracked room ${room}'s code first!`, 'success');
+        } else if (result === 'lose') {
+            UI.showMessage('Out of attempts - watch the others race', 'error');
+        }
+    };
+
+    /**
+     * Render the live opponents panel
+     */
+    const render = () => {
+        const panel = document.getElementById('racePanel');
+        const list = document.getElementById('racePlayers');
+        if (!panel || !list) return;
+
+        panel.style.display = active ? 'block' : 'none';
+        if (!active) return;
+
+        const title = document.getElementById('raceRoomTitle');
+        if (title) title.textContent = `RACE ROOM ${room}`;
+
+        list.innerHTML = players.map(p => `
+            <div class="race-row ${p.id === playerId ? 'race-self' : ''} ${p.won ? 'race-winner' : ''}">
+                <div class="race-name"></div>
+                <div>${Number(p.attempts) || 0} tries</div>
+                <div class="text-primary">${Number(p.bestExact) || 0} best exact</div>
+                <div>${p.won ? '🏆' : (p.finished ? 'OUT' : '...')}</div>
+            </div>
+        `).join('');
+
+        // Names are typed by other players - set as text, never as markup
+        list.querySelectorAll('.race-name').forEach((cell, i) => {
+            const p = players[i];
+            cell.textContent = `${p.name}${p.id === playerId ? ' (YOU)' : ''}`;
+        });
+    };
+
+    /**
+     * Stop race mode locally
+     */
+    const stop = () => {
+        active = false;
+        room = null;
+        playerId = null;
+        players = [];
+        Game.stopRemoteGame();
+        render();
+    };
+
+    /**
+     * Leave the room and disconnect
+     */
+    const leave = () => {
+        if (socket) {
+            send({ type: 'leave' });
+            socket.close();
+            socket = null;
+        }
+        if (active) stop();
+    };
+
+    /**
+     * Is a race in progress
+     */
+    const isActive = () => active;
+
+    // Public API
+    return {
+        openSetup,
+        connect,
+        leave,
+        handleGameEnd,
+        isActive,
+        closeSetup
+    };
+})();
+
+// Freeze object
+Object.freeze(Race);
\ No newline at end of file
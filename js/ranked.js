@@ -0,0 +1,146 @@
+/**
+ * RANKED MODULE - Games Scored by the Leaderboard Server
+ * Version: 2.0.0
+ *
+ * Scores on the shared board only come from ranked games: the leaderboard
+ * server draws the secret and commits to it, scores every guess and keeps
+ * the game log, so a won game can be submitted but never written by hand.
+ */
+
+const Ranked = (() => {
+    'use strict';
+
+    let active = false;
+    let serverUrl = null;
+    let gameId = null;
+    let won = false;
+
+    /**
+     * POST to the leaderboard server
+     * @returns {Promise<Object>} the reply; rejects with the server's error message (and reply as .data)
+     */
+    const post = (route, body = {}) => {
+        return fetch(`${serverUrl}${route}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        }).then(response => response.json().catch(() => ({})).then(data => {
+            if (!response.ok) {
+                throw Object.assign(new Error(data.error || `Server error ${response.status}`), { data });
+            }
+            return data;
+        }));
+    };
+
+    /**
+     * Start a ranked game with the current settings on the connected leaderboard server
+     */
+    const start = () => {
+        const url = Leaderboard.getSyncStatus().remoteUrl;
+        if (!url) {
+            UI.showMessage('Connect a leaderboard server (LEADERBOARD tab) to play ranked', 'error');
+            return Promise.resolve(false);
+        }
+
+        Match.cancel();
+        Race.leave();
+
+        const state = Game.getState();
+        serverUrl = url;
+        return post('/games', {
+            difficulty: state.difficulty,
+            codeLength: state.codeLength,
+            symbolSet: state.symbolSet,
+            variant: state.variant,
+            logicMode: state.logicMode,
+            timerMode: state.timerMode,
+            timerDuration: state.timerDuration
+        }).then(game => {
+            active = true;
+            gameId = game.id;
+            won = false;
+            Game.startRemoteGame({
+                submit,
+                onSuggest: () => post(`/games/${game.id}/suggestions`).catch(error => {
+                    console.warn('Suggestion not recorded:', error.message);
+                }),
+                commitment: game.commitment,
+                codeLength: game.settings.codeLength,
+                symbolSet: game.settings.symbolSet,
+                variant: game.settings.variant,
+                maxAttempts: game.settings.maxAttempts
+            });
+            UI.showMessage('Ranked game started - the server holds the code', 'success');
+            return true;
+        }).catch(error => {
+            UI.showMessage(`Cannot start a ranked game: ${error.message}`, 'error');
+            return false;
+        });
+    };
+
+    /**
+     * Send a guess to the server and apply its feedback
+     */
+    const submit = (guess) => {
+        const id = gameId;
+
+        post(`/games/${id}/guesses`, { sequence: guess }).then(reply => {
+            // Left the game while the guess was on its way
+            if (!active || gameId !== id) return;
+
+            // A reply that ends the game reveals the code - UI.handleGameEnd reports it
+            const result = Game.applyRemoteFeedback(reply);
+            if (!reply.result) UI.showMessage(result.message, result.success ? 'info' : 'error');
+        }).catch(error => {
+            if (!active || gameId !== id) return;
+
+            Game.rejectRemoteGuess();
+            if (error.data && error.data.result === 'timeout') {
+                Game.endRemoteGame('timeout', error.data.secret);
+            } else {
+                UI.showMessage(`Ranked server: ${error.message}`, 'error');
+            }
+        });
+    };
+
+    /**
+     * Handle the end of the local game (hooked into Game's onGameEnd via UI)
+     */
+    const handleGameEnd = (result) => {
+        won = result === 'win';
+    };
+
+    /**
+     * Id of the won game, ready to be submitted (null otherwise)
+     */
+    const getWonGameId = () => (active && won ? gameId : null);
+
+    /**
+     * Leave ranked play and go back to local games
+     */
+    const leave = () => {
+        if (!active) return;
+
+        active = false;
+        gameId = null;
+        won = false;
+        Game.stopRemoteGame();
+    };
+
+    /**
+     * Is a ranked game in progress (or just finished)
+     */
+    const isActive = () => active;
+
+    // Public API
+    return {
+        start,
+        leave,
+        handleGameEnd,
+        getWonGameId,
+        isActive
+    };
+})();
+
+// Freeze object
+Object.freeze(Ranked);
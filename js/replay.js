@@ -0,0 +1,230 @@
+/**
+ * REPLAY MODULE - Recorded Game Playback
+ * Version: 2.0.0
+ */
+
+const Replay = (() => {
+    'use strict';
+
+    const BASE_STEP_MS = 1000;
+
+    let entry = null;
+    let steps = [];
+    let position = 0;
+    let speed = 1;
+    let playInterval = null;
+
+    /**
+     * Initialize replay viewer
+     */
+    const init = () => {
+        refreshList();
+    };
+
+    /**
+     * Fill the replay selector with saved games
+     */
+    const refreshList = () => {
+        const select = document.getElementById('replaySelect');
+        if (!select) return;
+
+        // Options are built as text - player names come from imports and the shared board
+        select.replaceChildren(new Option('-- SELECT A SAVED GAME --', ''));
+        Leaderboard.getReplays().forEach(s => {
+            const date = new Date(s.date).toLocaleDateString();
+            select.add(new Option(
+                `${s.player} · ${Leaderboard.formatScore(s.score)} · ${s.difficulty.toUpperCase()} · ${date}`, s.id
+            ));
+        });
+
+        if (entry) select.value = entry.id;
+    };
+
+    /**
+     * Load a replay by leaderboard entry id
+     */
+    const load = (id) => {
+        pause();
+
+        entry = id ? Leaderboard.getScoreById(id) : null;
+        steps = entry ? entry.replay.events.filter(e => e.type !== 'start') : [];
+        position = 0;
+
+        render();
+    };
+
+    /**
+     * Advance one move
+     */
+    const step = () => {
+        if (position >= steps.length) {
+            pause();
+            return false;
+        }
+        position++;
+        render();
+        return true;
+    };
+
+    /**
+     * Go back one move
+     */
+    const stepBack = () => {
+        pause();
+        if (position > 0) position--;
+        render();
+    };
+
+    /**
+     * Start automatic playback
+     */
+    const play = () => {
+        if (!entry) return;
+        if (position >= steps.length) position = 0;
+
+        pause();
+        playInterval = setInterval(() => {
+            if (!step()) pause();
+        }, BASE_STEP_MS / speed);
+        updatePlayButton();
+    };
+
+    /**
+     * Stop automatic playback
+     */
+    const pause = () => {
+        if (playInterval) {
+            clearInterval(playInterval);
+            playInterval = null;
+        }
+        updatePlayButton();
+    };
+
+    /**
+     * Toggle playback
+     */
+    const togglePlay = () => {
+        if (playInterval) {
+            pause();
+        } else {
+            play();
+        }
+    };
+
+    /**
+     * Set playback speed multiplier
+     */
+    const setSpeed = (value) => {
+        const parsed = parseFloat(value);
+        if (isNaN(parsed) || parsed <= 0) return;
+
+        speed = parsed;
+        if (playInterval) play();
+    };
+
+    /**
+     * Update play/pause icon
+     */
+    const updatePlayButton = () => {
+        const btn = document.getElementById('replayPlayBtn');
+        if (!btn) return;
+        btn.innerHTML = playInterval ?
+            '<i class="fas fa-pause"></i>' :
+            '<i class="fas fa-play"></i>';
+    };
+
+    /**
+     * Format ms offset as m:ss.s
+     */
+    const formatOffset = (ms) => {
+        const totalSeconds = ms / 1000;
+        const minutes = Math.floor(totalSeconds / 60);
+        const seconds = (totalSeconds % 60).toFixed(1).padStart(4, '0');
+        return `${minutes}:${seconds}`;
+    };
+
+    /**
+     * Render a single replay event
+     */
+    const renderEvent = (e, codeLength, rules) => {
+        const row = document.createElement('div');
+
+        // Guess rows come from verified codes and feedback counts
+        if (e.type === 'guess') {
+            row.className = `history-row ${e.inconsistent ? 'inconsistent' : ''}`;
+            row.innerHTML = `
+                <div><i class="fas fa-key"></i></div>
+                <div class="history-code">${rules.renderGuess(e)}</div>
+                <div class="text-primary">${e.exact}</div>
+                <div class="text-accent">${e.partial}</div>
+                <div>${formatOffset(e.t)}</div>
+                <div class="${e.exact === codeLength ? 'text-primary' : (e.exact > 0 ? 'text-accent' : 'text-secondary')}">
+                    ${e.exact === codeLength ? 'WIN' : (e.exact > 0 ? 'MATCH' : 'NO MATCH')}
+                </div>
+            `;
+            return row;
+        }
+
+        let text = '';
+        if (e.type === 'hint') {
+            text = `HINT: position ${e.position} is ${e.digit}`;
+        } else if (e.type === 'suggest') {
+            // Ranked games log the suggestion on the server, without what was suggested
+            text = e.guess !== undefined ? `SUGGESTION: ${e.guess} (${e.remaining} possible)` : 'SUGGESTION USED';
+        } else if (e.type === 'end') {
+            text = `${String(e.result).toUpperCase()} · code ${e.secret}${e.score ? ` · score ${e.score}` : ''}`;
+        }
+
+        // Notes are set as text - their fields come from imported and shared logs
+        row.className = 'history-row replay-note';
+        row.innerHTML = `
+            <div><i class="fas ${e.type === 'end' ? 'fa-flag-checkered' : 'fa-info-circle'}"></i></div>
+            <div class="replay-note-text"></div>
+            <div>${formatOffset(e.t)}</div>
+        `;
+        row.querySelector('.replay-note-text').textContent = text;
+        return row;
+    };
+
+    /**
+     * Render the replay up to the current position
+     */
+    const render = () => {
+        const info = document.getElementById('replayInfo');
+        const list = document.getElementById('replayList');
+        if (!info || !list) return;
+
+        if (!entry) {
+            info.textContent = 'Select a saved game to watch how it was cracked.';
+            list.innerHTML = '';
+            return;
+        }
+
+        const start = entry.replay.events.find(e => e.type === 'start');
+        const settings = start ? start.settings : {};
+        const codeLength = settings.codeLength || 4;
+        const rules = Rules.getVariant(settings.variant);
+        const timer = settings.timerMode ? `${settings.timerDuration}s timer` : 'no timer';
+
+        info.textContent = `${entry.player} · ${(settings.difficulty || entry.difficulty).toUpperCase()} · ` +
+            `${codeLength} ${settings.symbolSet || 'digits'} · ${rules.name} · ${timer} · move ${position}/${steps.length}`;
+
+        list.replaceChildren(...steps.slice(0, position).map(e => renderEvent(e, codeLength, rules)));
+    };
+
+    // Public API
+    return {
+        init,
+        refreshList,
+        load,
+        step,
+        stepBack,
+        play,
+        pause,
+        togglePlay,
+        setSpeed
+    };
+})();
+
+// Freeze object
+Object.freeze(Replay);
\ No newline at end of file
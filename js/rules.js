@@ -0,0 +1,325 @@
+/**
+ * RULES MODULE - Shared Code Rules (browser + Node)
+ * Version: 2.0.0
+ */
+
+const Rules = (() => {
+    'use strict';
+
+    // Difficulty settings
+    const DIFFICULTY_SETTINGS = {
+        easy: { attempts: 6, hints: 5 },
+        medium: { attempts: 15, hints: 3 },
+        hard: { attempts: 15, hints: 0 }
+    };
+
+    // Score formula
+    const SCORING = {
+        base: 1000,
+        attemptPenalty: 50,
+        hintPenalty: 100,
+        suggestionPenalty: 150,
+        timeBonus: 10,
+        minimum: 100
+    };
+
+    // Symbol sets a code can be built from
+    const SYMBOL_SETS = {
+        digits: { label: 'digits', symbols: '0123456789' },
+        hex: { label: 'hex symbols', symbols: '0123456789ABCDEF' },
+        letters: { label: 'letters', symbols: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ' },
+        colors: { label: 'colors', symbols: 'RGBYOPCW' } // Red Green Blue Yellow Orange Purple Cyan White
+    };
+
+    /**
+     * Score a guess against a code using frequency algorithm
+     */
+    const scoreGuess = (code, guess) => {
+        const target = code.split('');
+        const attempt = guess.split('');
+        
+        let exact = 0;
+        let targetFreq = new Map();
+        let guessFreq = new Map();
+        
+        // Find exact matches
+        for (let i = 0; i < target.length; i++) {
+            if (attempt[i] === target[i]) {
+                exact++;
+            } else {
+                targetFreq.set(target[i], (targetFreq.get(target[i]) || 0) + 1);
+                guessFreq.set(attempt[i], (guessFreq.get(attempt[i]) || 0) + 1);
+            }
+        }
+        
+        // Find partial matches
+        let partial = 0;
+        for (let [digit, count] of guessFreq) {
+            if (targetFreq.has(digit)) {
+                partial += Math.min(count, targetFreq.get(digit));
+            }
+        }
+        
+        return { exact, partial };
+    };
+
+    /**
+     * Check that a code has the given length and only symbols from the set
+     */
+    const isValidCode = (code, codeLength, symbolSet) => {
+        const set = SYMBOL_SETS[symbolSet];
+        if (!set || typeof code !== 'string') return false;
+        return code.length === codeLength &&
+            code.split('').every(ch => set.symbols.includes(ch));
+    };
+
+    /**
+     * Check that a code has no repeated symbols
+     */
+    const hasUniqueSymbols = (code) => new Set(code.split('')).size === code.length;
+
+    /**
+     * Score a guess position by position (Wordle-style)
+     * marks: 'hit' right symbol right place, 'near' right symbol wrong place, 'miss'
+     */
+    const scorePositional = (code, guess) => {
+        const marks = new Array(guess.length).fill('miss');
+        const remaining = new Map();
+
+        for (let i = 0; i < code.length; i++) {
+            if (guess[i] === code[i]) {
+                marks[i] = 'hit';
+            } else {
+                remaining.set(code[i], (remaining.get(code[i]) || 0) + 1);
+            }
+        }
+
+        for (let i = 0; i < guess.length; i++) {
+            if (marks[i] === 'hit') continue;
+            const left = remaining.get(guess[i]) || 0;
+            if (left > 0) {
+                marks[i] = 'near';
+                remaining.set(guess[i], left - 1);
+            }
+        }
+
+        return {
+            exact: marks.filter(m => m === 'hit').length,
+            partial: marks.filter(m => m === 'near').length,
+            marks
+        };
+    };
+
+    /**
+     * Draw a secret without repeated symbols
+     */
+    const generateUniqueSecret = (rng, codeLength, symbolSet) => {
+        const pool = SYMBOL_SETS[symbolSet].symbols.split('');
+        let secret = '';
+        for (let i = 0; i < codeLength; i++) {
+            secret += pool.splice(Math.floor(rng() * pool.length), 1)[0];
+        }
+        return secret;
+    };
+
+    /**
+     * Rule variants
+     * Each covers secret generation, guess validation, feedback computation
+     * and rendering of a guess with its feedback.
+     */
+    const VARIANTS = {
+        classic: {
+            id: 'classic',
+            name: 'CLASSIC',
+            description: 'Exact / partial counts, repeats allowed',
+            labels: { exact: 'EXACT', partial: 'PARTIAL' },
+            constraint: '',
+            supports: () => true,
+            generateSecret: (rng, codeLength, symbolSet) => generateSecret(rng, codeLength, symbolSet),
+            validateCode: (code, codeLength, symbolSet) => isValidCode(code, codeLength, symbolSet),
+            scoreGuess: (code, guess) => scoreGuess(code, guess),
+            feedbackKey: (feedback) => `${feedback.exact}:${feedback.partial}`,
+            renderGuess: (entry) => entry.sequence
+        },
+        bulls: {
+            id: 'bulls',
+            name: 'BULLS & COWS',
+            description: 'Bulls / cows counts, every symbol unique',
+            labels: { exact: 'BULLS', partial: 'COWS' },
+            constraint: 'no repeats',
+            supports: (codeLength, symbolSet) => codeLength <= SYMBOL_SETS[symbolSet].symbols.length,
+            generateSecret: (rng, codeLength, symbolSet) => generateUniqueSecret(rng, codeLength, symbolSet),
+            validateCode: (code, codeLength, symbolSet) =>
+                isValidCode(code, codeLength, symbolSet) && hasUniqueSymbols(code),
+            scoreGuess: (code, guess) => scoreGuess(code, guess),
+            feedbackKey: (feedback) => `${feedback.exact}:${feedback.partial}`,
+            renderGuess: (entry) => entry.sequence
+        },
+        positional: {
+            id: 'positional',
+            name: 'POSITIONAL',
+            description: 'Green / yellow / gray for every symbol',
+            labels: { exact: 'GREEN', partial: 'YELLOW' },
+            constraint: '',
+            supports: () => true,
+            generateSecret: (rng, codeLength, symbolSet) => generateSecret(rng, codeLength, symbolSet),
+            validateCode: (code, codeLength, symbolSet) => isValidCode(code, codeLength, symbolSet),
+            scoreGuess: (code, guess) => scorePositional(code, guess),
+            feedbackKey: (feedback) => (feedback.marks || []).join(','),
+            renderGuess: (entry) => entry.sequence.split('').map((ch, i) =>
+                `<span class="tile tile-${(entry.marks || [])[i] || 'miss'}">${ch}</span>`
+            ).join('')
+        }
+    };
+
+    /**
+     * Get a rule variant (classic if unknown)
+     */
+    const getVariant = (id) => VARIANTS[id] || VARIANTS.classic;
+
+    /**
+     * Calculate score based on performance
+     */
+    const computeScore = ({ attempts = 0, hintsUsed = 0, suggestionsUsed = 0, timeLeft = 0 }) => {
+        const finalScore = SCORING.base -
+            attempts * SCORING.attemptPenalty -
+            hintsUsed * SCORING.hintPenalty -
+            suggestionsUsed * SCORING.suggestionPenalty +
+            Math.max(timeLeft, 0) * SCORING.timeBonus;
+        return Math.max(finalScore, SCORING.minimum);
+    };
+
+    /**
+     * Hash a seed string into a 32-bit integer (FNV-1a)
+     */
+    const hashSeed = (value) => {
+        const str = String(value);
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    };
+
+    /**
+     * Create a seeded PRNG (mulberry32) returning floats in [0, 1)
+     */
+    const createRng = (seedValue) => {
+        let state = hashSeed(seedValue);
+        return () => {
+            state = (state + 0x6D2B79F5) >>> 0;
+            let t = state;
+            t = Math.imul(t ^ (t >>> 15), t | 1);
+            t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+            return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+        };
+    };
+
+    /**
+     * Draw a secret from a random source
+     */
+    const generateSecret = (rng, codeLength, symbolSet) => {
+        const symbols = SYMBOL_SETS[symbolSet].symbols;
+        let secret = '';
+        for (let i = 0; i < codeLength; i++) {
+            secret += symbols[Math.floor(rng() * symbols.length)];
+        }
+        return secret;
+    };
+
+    /**
+     * SHA-256 of a string, as hex - synchronous so commitments can be
+     * checked without waiting on crypto.subtle
+     */
+    const sha256 = (message) => {
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const H = [
+            0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+        ];
+
+        // UTF-8 encode and pad
+        const bytes = [];
+        const utf8 = unescape(encodeURIComponent(message));
+        for (let i = 0; i < utf8.length; i++) bytes.push(utf8.charCodeAt(i));
+        const bitLength = bytes.length * 8;
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        for (let i = 7; i >= 0; i--) {
+            bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
+        }
+
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const w = new Array(64);
+
+        for (let chunk = 0; chunk < bytes.length; chunk += 64) {
+            for (let i = 0; i < 16; i++) {
+                const j = chunk + i * 4;
+                w[i] = (bytes[j] << 24) | (bytes[j + 1] << 16) | (bytes[j + 2] << 8) | bytes[j + 3];
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const t1 = (h + S1 + ch + K[i] + w[i]) | 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const t2 = (S0 + maj) | 0;
+                h = g; g = f; f = e;
+                e = (d + t1) | 0;
+                d = c; c = b; b = a;
+                a = (t1 + t2) | 0;
+            }
+
+            H[0] = (H[0] + a) | 0; H[1] = (H[1] + b) | 0;
+            H[2] = (H[2] + c) | 0; H[3] = (H[3] + d) | 0;
+            H[4] = (H[4] + e) | 0; H[5] = (H[5] + f) | 0;
+            H[6] = (H[6] + g) | 0; H[7] = (H[7] + h) | 0;
+        }
+
+        return H.map(x => (x >>> 0).toString(16).padStart(8, '0')).join('');
+    };
+
+    /**
+     * Commitment to a secret: published at game start, checked once revealed
+     */
+    const commitSecret = (secret, nonce) => sha256(`${secret}:${nonce}`);
+
+    // Public API
+    return {
+        DIFFICULTY_SETTINGS,
+        SYMBOL_SETS,
+        VARIANTS,
+        getVariant,
+        scoreGuess,
+        isValidCode,
+        computeScore,
+        createRng,
+        generateSecret,
+        sha256,
+        commitSecret
+    };
+})();
+
+// Freeze object
+Object.freeze(Rules);
+
+// Node (race server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Rules;
+}
\ No newline at end of file
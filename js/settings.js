@@ -0,0 +1,255 @@
+/**
+ * SETTINGS MODULE - Persistent User Preferences
+ * Version: 2.0.0
+ *
+ * One versioned record holds every preference. Stored or imported
+ * records from older schema versions are migrated step by step, and
+ * unknown or invalid values fall back to their defaults.
+ */
+
+const Settings = (() => {
+    'use strict';
+
+    const STORAGE_KEY = 'cyber_lock_settings';
+    const SCHEMA_VERSION = 1;
+
+    // Keys used before settings were kept together
+    const LEGACY_THEME_KEY = 'cyber_lock_theme';
+
+    const oneOf = (values) => (value) => values.includes(value);
+
+    /**
+     * Schema - default value and validity check for each setting
+     */
+    const SCHEMA = {
+        difficulty: { default: 'medium', valid: oneOf(Object.keys(Rules.DIFFICULTY_SETTINGS)) },
+        // Seconds on the clock, 0 for no timer
+        timerDuration: { default: 0, valid: oneOf([0, 60, 120]) },
+        codeLength: { default: 4, valid: v => Number.isInteger(v) && v >= 3 && v <= 8 },
+        symbolSet: { default: 'digits', valid: oneOf(Object.keys(Rules.SYMBOL_SETS)) },
+        variant: { default: 'classic', valid: oneOf(Object.keys(Rules.VARIANTS)) },
+        logicMode: { default: 'off', valid: oneOf(['off', 'warn', 'strict']) },
+        sound: { default: true, valid: v => typeof v === 'boolean' },
+        volume: { default: 70, valid: v => Number.isInteger(v) && v >= 0 && v <= 100 },
+        // 'auto' follows the system colour scheme
+        theme: { default: 'auto', valid: v => typeof v === 'string' && v.length > 0 && v.length <= 40 },
+        // 'auto' follows prefers-reduced-motion
+        reducedMotion: { default: 'auto', valid: oneOf(['auto', 'on', 'off']) },
+        playerName: { default: '', valid: v => typeof v === 'string' && v.length <= 20 }
+    };
+
+    /**
+     * Upgrades from each older schema version to the next
+     */
+    const MIGRATIONS = {
+        // Unversioned: a bare object of settings, with the timer as on/off plus seconds
+        0: (values) => {
+            const { timerMode, ...rest } = values;
+            if (timerMode === false) rest.timerDuration = 0;
+            return rest;
+        }
+    };
+
+    let settings = {};
+
+    /**
+     * Initialize settings from storage
+     */
+    const init = () => {
+        let stored = null;
+        try {
+            stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+        }
+
+        if (!stored) {
+            // First run with settings - pick up the theme saved before they existed
+            const theme = localStorage.getItem(LEGACY_THEME_KEY);
+            stored = { version: 0, settings: theme ? { theme } : {} };
+            localStorage.removeItem(LEGACY_THEME_KEY);
+        }
+
+        settings = normalize(migrate(stored).settings).settings;
+        saveSettings();
+        return getAll();
+    };
+
+    /**
+     * Bring a stored record up to the current schema version
+     */
+    const migrate = (record) => {
+        let version = Number.isInteger(record.version) ? record.version : 0;
+        let values = { ...(record.settings || record) };
+        delete values.version;
+
+        while (version < SCHEMA_VERSION) {
+            if (MIGRATIONS[version]) values = MIGRATIONS[version](values);
+            version++;
+        }
+        return { version, settings: values };
+    };
+
+    /**
+     * Keep known, valid values and default the rest
+     * @returns {Object} { settings, rejected } - rejected lists the keys that were dropped
+     */
+    const normalize = (values) => {
+        const result = {};
+        const rejected = [];
+
+        Object.entries(SCHEMA).forEach(([key, field]) => {
+            if (values[key] === undefined) {
+                result[key] = field.default;
+            } else if (field.valid(values[key])) {
+                result[key] = values[key];
+            } else {
+                result[key] = field.default;
+                rejected.push(key);
+            }
+        });
+        Object.keys(values).forEach(key => {
+            if (!SCHEMA[key]) rejected.push(key);
+        });
+
+        return { settings: result, rejected };
+    };
+
+    /**
+     * Save settings to localStorage
+     */
+    const saveSettings = () => {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: SCHEMA_VERSION, settings }));
+        } catch (error) {
+            console.error('Failed to save settings:', error);
+        }
+    };
+
+    /**
+     * Tell listeners which settings changed
+     */
+    const notify = (keys) => {
+        window.dispatchEvent(new CustomEvent('settingschange', { detail: { keys, settings: getAll() } }));
+    };
+
+    /**
+     * Get one setting
+     */
+    const get = (key) => settings[key];
+
+    /**
+     * Get a copy of every setting
+     */
+    const getAll = () => ({ ...settings });
+
+    /**
+     * Change one setting
+     * @returns {boolean} false for unknown keys or invalid values
+     */
+    const set = (key, value) => {
+        if (!SCHEMA[key] || !SCHEMA[key].valid(value)) return false;
+        if (settings[key] === value) return true;
+
+        settings[key] = value;
+        saveSettings();
+        notify([key]);
+        return true;
+    };
+
+    /**
+     * Change several settings at once, skipping the invalid ones
+     * @returns {Array} keys that were rejected
+     */
+    const update = (values) => {
+        const rejected = [];
+        const changed = [];
+
+        Object.entries(values).forEach(([key, value]) => {
+            if (!SCHEMA[key] || !SCHEMA[key].valid(value)) {
+                rejected.push(key);
+            } else if (settings[key] !== value) {
+                settings[key] = value;
+                changed.push(key);
+            }
+        });
+
+        if (changed.length > 0) {
+            saveSettings();
+            notify(changed);
+        }
+        return rejected;
+    };
+
+    /**
+     * Put every setting back to its default
+     */
+    const reset = () => {
+        settings = normalize({}).settings;
+        saveSettings();
+        notify(Object.keys(SCHEMA));
+    };
+
+    /**
+     * Settings as a JSON document
+     */
+    const exportSettings = () => {
+        return JSON.stringify({ app: 'cyber-lock', version: SCHEMA_VERSION, settings }, null, 2);
+    };
+
+    /**
+     * Download the settings as a JSON file
+     */
+    const downloadSettings = () => {
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(exportSettings());
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', `cyber-lock-settings-${new Date().toISOString()}.json`);
+        linkElement.click();
+    };
+
+    /**
+     * Replace the settings with an exported JSON document (older versions are migrated)
+     * @returns {Object} { success, rejected, error }
+     */
+    const importSettings = (json) => {
+        let record;
+        try {
+            record = JSON.parse(json);
+        } catch (error) {
+            return { success: false, rejected: [], error: 'Not valid JSON' };
+        }
+
+        if (!record || typeof record !== 'object' || Array.isArray(record) ||
+            (record.settings !== undefined && (typeof record.settings !== 'object' || !record.settings))) {
+            return { success: false, rejected: [], error: 'Not a settings file' };
+        }
+        if (Number.isInteger(record.version) && record.version > SCHEMA_VERSION) {
+            return { success: false, rejected: [], error: 'Settings are from a newer version' };
+        }
+
+        const { settings: values, rejected } = normalize(migrate(record).settings);
+        settings = values;
+        saveSettings();
+        notify(Object.keys(SCHEMA));
+
+        return { success: true, rejected, error: null };
+    };
+
+    // Public API
+    return {
+        init,
+        get,
+        getAll,
+        set,
+        update,
+        reset,
+        exportSettings,
+        downloadSettings,
+        importSettings
+    };
+})();
+
+// Freeze object
+Object.freeze(Settings);
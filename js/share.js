@@ -0,0 +1,198 @@
+/**
+ * SHARE MODULE - Result Cards & Shareable Links
+ * Version: 2.0.0
+ *
+ * A shared result carries only the feedback of each guess, never the
+ * guesses or the secret, so it can't spoil a Daily Code.
+ */
+
+const Share = (() => {
+    'use strict';
+
+    const HASH_PREFIX = '#result=';
+    const FORMAT_VERSION = 1;
+    const MAX_GUESSES = 50;
+
+    const EMOJI = { hit: '🟩', near: '🟨', miss: '⬛' };
+    const MARK_CODES = { hit: 'h', near: 'n', miss: 'm' };
+
+    /**
+     * Build a compact result from a finished game state
+     */
+    const buildResult = (state) => {
+        const ordered = [...state.guesses].reverse();
+        const won = ordered.length > 0 && ordered[ordered.length - 1].exact === state.codeLength;
+
+        const result = {
+            v: FORMAT_VERSION,
+            d: state.difficulty,
+            l: state.codeLength,
+            s: state.symbolSet,
+            r: state.variant || 'classic',
+            w: won ? 1 : 0,
+            a: state.attempts,
+            m: state.maxAttempts,
+            // Aggregate feedback as "<exact><partial>", positional as marks ("hnmm")
+            f: ordered.map(g => (g.marks ?
+                g.marks.map(mark => MARK_CODES[mark]).join('') :
+                `${g.exact}${g.partial}`))
+        };
+        if (won) result.p = state.score;
+        if (state.dailyDate) result.y = state.dailyDate;
+
+        return result;
+    };
+
+    /**
+     * Check a decoded result - links come from anyone
+     */
+    const isValidResult = (result) => {
+        if (!result || typeof result !== 'object' || result.v !== FORMAT_VERSION) return false;
+
+        const isInt = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+        if (!Rules.DIFFICULTY_SETTINGS[result.d] || !Rules.SYMBOL_SETS[result.s] || !Rules.VARIANTS[result.r]) return false;
+        if (!isInt(result.l, 3, 8) || !isInt(result.m, 1, MAX_GUESSES) || !isInt(result.a, 0, result.m)) return false;
+        if (result.w !== 0 && result.w !== 1) return false;
+        if (result.p !== undefined && !isInt(result.p, 0, 999999)) return false;
+        if (result.y !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(result.y)) return false;
+        if (!Array.isArray(result.f) || result.f.length !== result.a) return false;
+
+        const positional = new RegExp(`^[hnm]{${result.l}}$`);
+        return result.f.every(f => typeof f === 'string' && (/^\d\d$/.test(f) || positional.test(f)));
+    };
+
+    /**
+     * Encode a result for a URL fragment (base64url JSON)
+     */
+    const encode = (result) => {
+        return btoa(JSON.stringify(result)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    };
+
+    /**
+     * Decode a URL fragment (null if it isn't a valid result)
+     */
+    const decode = (encoded) => {
+        try {
+            const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+            const result = JSON.parse(atob(base64));
+            return isValidResult(result) ? result : null;
+        } catch (error) {
+            return null;
+        }
+    };
+
+    /**
+     * Link that opens the result read-only
+     */
+    const getShareUrl = (result) => {
+        return `${location.origin}${location.pathname}${HASH_PREFIX}${encode(result)}`;
+    };
+
+    /**
+     * Emoji row for one guess' feedback
+     */
+    const renderRow = (feedback, codeLength) => {
+        if (/^[hnm]+$/.test(feedback)) {
+            return feedback.split('').map(code => (code === 'h' ? EMOJI.hit : (code === 'n' ? EMOJI.near : EMOJI.miss))).join('');
+        }
+
+        const exact = parseInt(feedback[0], 10);
+        const partial = Math.min(parseInt(feedback[1], 10), codeLength - exact);
+        return EMOJI.hit.repeat(exact) + EMOJI.near.repeat(partial) + EMOJI.miss.repeat(codeLength - exact - partial);
+    };
+
+    /**
+     * Text card: header, one emoji row per guess, score
+     */
+    const buildCard = (result) => {
+        const variant = Rules.getVariant(result.r);
+        const lines = [
+            `CYBER LOCK BREACH ${result.w ? '🔓' : '🔒'} ${result.w ? result.a : 'X'}/${result.m}`,
+            [
+                result.d.toUpperCase(),
+                `${result.l} ${Rules.SYMBOL_SETS[result.s].label.toUpperCase()}`,
+                variant.name,
+                result.y ? `DAILY ${result.y}` : null
+            ].filter(Boolean).join(' · '),
+            ...result.f.map(f => renderRow(f, result.l))
+        ];
+        if (result.w && result.p !== undefined) lines.push(`SCORE ${result.p}`);
+
+        return lines.join('\n');
+    };
+
+    /**
+     * Copy text to the clipboard
+     * @returns {Promise}
+     */
+    const copyText = (text) => {
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            return navigator.clipboard.writeText(text);
+        }
+
+        // Older browsers and non-secure origins
+        return new Promise((resolve, reject) => {
+            const area = document.createElement('textarea');
+            area.value = text;
+            area.setAttribute('readonly', '');
+            area.style.position = 'fixed';
+            area.style.opacity = '0';
+            document.body.appendChild(area);
+            area.select();
+            const copied = document.execCommand('copy');
+            document.body.removeChild(area);
+            if (copied) {
+                resolve();
+            } else {
+                reject(new Error('Copy was blocked'));
+            }
+        });
+    };
+
+    /**
+     * Copy the finished game's card and link to the clipboard
+     * @returns {Promise<string>} the copied text
+     */
+    const copyResult = (state) => {
+        const result = buildResult(state);
+        const text = `${buildCard(result)}\n${getShareUrl(result)}`;
+        return copyText(text).then(() => text);
+    };
+
+    /**
+     * Show a shared result from the URL fragment, if there is one
+     */
+    const init = () => {
+        if (!location.hash.startsWith(HASH_PREFIX)) return;
+
+        const result = decode(location.hash.slice(HASH_PREFIX.length));
+        const card = document.getElementById('sharedResultCard');
+        if (card) {
+            card.textContent = result ? buildCard(result) : 'This result link is damaged or out of date.';
+        }
+        document.getElementById('sharedResultModal')?.classList.add('show');
+    };
+
+    /**
+     * Close the shared result and drop it from the URL
+     */
+    const closeShared = () => {
+        document.getElementById('sharedResultModal')?.classList.remove('show');
+        history.replaceState(null, '', `${location.pathname}${location.search}`);
+    };
+
+    // Public API
+    return {
+        init,
+        buildResult,
+        buildCard,
+        encode,
+        decode,
+        getShareUrl,
+        copyResult,
+        closeShared
+    };
+})();
+
+// Freeze object
+Object.freeze(Share);
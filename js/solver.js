@@ -0,0 +1,244 @@
+/**
+ * SOLVER MODULE - Feedback Reasoning & Guess Suggestions
+ * Version: 2.0.0
+ */
+
+const Solver = (() => {
+    'use strict';
+
+    // Largest code space we are willing to enumerate
+    const MAX_SEARCH_SPACE = 100000;
+    // Caps for the suggestion search: guesses tried x candidates scored stays under MAX_SCORE_CALLS
+    const MAX_GUESS_POOL = 400;
+    const MAX_SCORED_CANDIDATES = 500;
+    const MAX_SCORE_CALLS = 60000;
+
+    // Cache of the last candidate computation
+    let cache = { configKey: null, guessKeys: [], candidates: null };
+
+    /**
+     * Size of the full code space
+     */
+    const getSpaceSize = (config) => {
+        return Math.pow(config.symbols.length, config.codeLength);
+    };
+
+    /**
+     * Convert an index into a code (base-N over the symbol set)
+     */
+    const codeAt = (index, config) => {
+        const base = config.symbols.length;
+        let code = '';
+        for (let i = 0; i < config.codeLength; i++) {
+            code = config.symbols[index % base] + code;
+            index = Math.floor(index / base);
+        }
+        return code;
+    };
+
+    /**
+     * Enumerate every code in the space
+     */
+    const enumerateCodes = (config) => {
+        const size = getSpaceSize(config);
+        const codes = new Array(size);
+        for (let i = 0; i < size; i++) {
+            codes[i] = codeAt(i, config);
+        }
+        return codes;
+    };
+
+    /**
+     * Enumerate every code the active rule variant allows
+     */
+    const enumerateValidCodes = (config) => {
+        return enumerateCodes(config).filter(code => Game.isValidCode(code));
+    };
+
+    /**
+     * Check whether a code agrees with one guess' feedback
+     */
+    const isConsistent = (code, guess) => {
+        const result = Game.scoreGuess(code, guess.sequence);
+        return Game.feedbackKey(result) === Game.feedbackKey(guess);
+    };
+
+    /**
+     * Check whether a code agrees with every guess in a history
+     */
+    const isConsistentWith = (code, guesses) => {
+        return guesses.every(g => isConsistent(code, g));
+    };
+
+    /**
+     * Filter codes against guesses
+     */
+    const filterCodes = (codes, guesses) => {
+        return codes.filter(code => isConsistentWith(code, guesses));
+    };
+
+    /**
+     * Get all secrets still consistent with the feedback history
+     * @param {Array} guesses - Game guesses ({ sequence, exact, partial, marks? })
+     * @param {Object} config - { codeLength, symbols, variant }
+     * @returns {Array|null} candidates, or null if the space is too large
+     */
+    const getCandidates = (guesses, config) => {
+        if (getSpaceSize(config) > MAX_SEARCH_SPACE) return null;
+
+        const configKey = `${config.codeLength}:${config.symbols}:${config.variant || 'classic'}`;
+        // Game keeps newest first - work oldest first so history only grows
+        const ordered = [...guesses].reverse();
+        const guessKeys = ordered.map(g => `${g.sequence}:${Game.feedbackKey(g)}`);
+
+        const extendsCache = cache.configKey === configKey &&
+            cache.candidates !== null &&
+            cache.guessKeys.length <= guessKeys.length &&
+            cache.guessKeys.every((key, i) => key === guessKeys[i]);
+
+        let candidates;
+        if (extendsCache) {
+            candidates = filterCodes(cache.candidates, ordered.slice(cache.guessKeys.length));
+        } else {
+            candidates = filterCodes(enumerateValidCodes(config), ordered);
+        }
+
+        cache = { configKey, guessKeys, candidates };
+        return candidates;
+    };
+
+    /**
+     * Count the secrets still possible (null if unknown)
+     */
+    const countCandidates = (guesses, config) => {
+        const candidates = getCandidates(guesses, config);
+        return candidates ? candidates.length : null;
+    };
+
+    /**
+     * Take an evenly spaced sample of a list
+     */
+    const sample = (list, max) => {
+        if (list.length <= max) return list;
+        const step = list.length / max;
+        const result = [];
+        for (let i = 0; i < max; i++) {
+            result.push(list[Math.floor(i * step)]);
+        }
+        return result;
+    };
+
+    /**
+     * Take an evenly spaced sample of the full code space
+     */
+    const sampleSpace = (config, max) => {
+        const size = getSpaceSize(config);
+        const count = Math.min(size, max);
+        const step = size / count;
+        const result = [];
+        for (let i = 0; i < count; i++) {
+            result.push(codeAt(Math.floor(i * step), config));
+        }
+        return result;
+    };
+
+    /**
+     * Partition candidates by the feedback a guess would produce
+     */
+    const partition = (guess, candidates) => {
+        const buckets = new Map();
+        candidates.forEach(code => {
+            const key = Game.feedbackKey(Game.scoreGuess(code, guess));
+            buckets.set(key, (buckets.get(key) || 0) + 1);
+        });
+        return buckets;
+    };
+
+    /**
+     * Rate a guess - higher is better
+     * minimax: minimize the largest remaining bucket
+     * entropy: maximize expected information
+     */
+    const rateGuess = (guess, candidates, strategy) => {
+        const buckets = partition(guess, candidates);
+
+        if (strategy === 'minimax') {
+            return -Math.max(...buckets.values());
+        }
+
+        const total = candidates.length;
+        let entropy = 0;
+        buckets.forEach(count => {
+            const p = count / total;
+            entropy -= p * Math.log2(p);
+        });
+        return entropy;
+    };
+
+    /**
+     * Opening guess - split the code between the first symbols (e.g. 0011),
+     * or the first distinct symbols (e.g. 0123) when repeats aren't allowed
+     */
+    const openingGuess = (config) => {
+        const half = Math.ceil(config.codeLength / 2);
+        const split = config.symbols[0].repeat(half) +
+            config.symbols[1].repeat(config.codeLength - half);
+        return Game.isValidCode(split) ? split : config.symbols.slice(0, config.codeLength);
+    };
+
+    /**
+     * Suggest the best next guess
+     * @param {Array} guesses - Game guesses
+     * @param {Object} config - { codeLength, symbols, variant }
+     * @param {string} strategy - 'entropy' (default) or 'minimax'
+     * @returns {Object|null} { guess, remaining }
+     */
+    const suggestGuess = (guesses, config, strategy = 'entropy') => {
+        const candidates = getCandidates(guesses, config);
+        if (!candidates || candidates.length === 0) return null;
+
+        if (guesses.length === 0) {
+            return { guess: openingGuess(config), remaining: candidates.length };
+        }
+
+        if (candidates.length <= 2) {
+            return { guess: candidates[0], remaining: candidates.length };
+        }
+
+        const scored = sample(candidates, MAX_SCORED_CANDIDATES);
+        const candidateSet = new Set(candidates);
+
+        // Try possible secrets first, then a spread of the full space
+        const poolSize = Math.min(MAX_GUESS_POOL, Math.floor(MAX_SCORE_CALLS / scored.length));
+        const pool = [...new Set([
+            ...sample(candidates, Math.ceil(poolSize / 2)),
+            ...sampleSpace(config, Math.floor(poolSize / 2)).filter(code => Game.isValidCode(code))
+        ])];
+
+        let best = null;
+        let bestRating = -Infinity;
+        pool.forEach(guess => {
+            let rating = rateGuess(guess, scored, strategy);
+            // Prefer guesses that could win outright on ties
+            if (candidateSet.has(guess)) rating += 1e-6;
+
+            if (rating > bestRating) {
+                bestRating = rating;
+                best = guess;
+            }
+        });
+
+        return { guess: best, remaining: candidates.length };
+    };
+
+    // Public API
+    return {
+        getCandidates,
+        countCandidates,
+        isConsistentWith,
+        suggestGuess
+    };
+})();
+
+// Freeze object
+Object.freeze(Solver);
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * SOUND MODULE - Synthesized Sound Effects
+ * Version: 2.0.0
+ *
+ * Every effect is synthesized with the Web Audio API - there are no
+ * audio files. Each theme has its own pack (waveform and pitch), so the
+ * same effect sounds different in cyber, light and dark.
+ */
+
+const Sound = (() => {
+    'use strict';
+
+    /**
+     * Sound packs - waveform, base pitch (Hz) and loudness
+     */
+    const PACKS = {
+        cyber: { wave: 'square', base: 440, gain: 0.18 },
+        light: { wave: 'sine', base: 660, gain: 0.35 },
+        dark: { wave: 'triangle', base: 220, gain: 0.4 }
+    };
+
+    /**
+     * Effects as notes: semitones above the pack's base, start and length in seconds
+     */
+    const EFFECTS = {
+        key: [{ note: 24, at: 0, length: 0.03, level: 0.4 }],
+        hint: [{ note: 7, at: 0, length: 0.1 }, { note: 14, at: 0.1, length: 0.15 }],
+        win: [
+            { note: 0, at: 0, length: 0.12 },
+            { note: 4, at: 0.12, length: 0.12 },
+            { note: 7, at: 0.24, length: 0.12 },
+            { note: 12, at: 0.36, length: 0.5 }
+        ],
+        lose: [
+            { note: 0, at: 0, length: 0.25 },
+            { note: -3, at: 0.25, length: 0.25 },
+            { note: -6, at: 0.5, length: 0.25 },
+            { note: -12, at: 0.75, length: 0.6 }
+        ],
+        warning: [{ note: 19, at: 0, length: 0.08 }, { note: 19, at: 0.12, length: 0.08 }]
+    };
+
+    // Feedback tones for 0-4 exact matches, rising with each match
+    const GUESS_STEPS = [-5, 0, 4, 7, 12];
+
+    let context = null;
+    let master = null;
+    let enabled = true;
+    let volume = 70;
+
+    /**
+     * Create the audio graph on first use (browsers only allow audio after a user gesture)
+     */
+    const getContext = () => {
+        if (context) return context;
+
+        const AudioContextClass = typeof window !== 'undefined' && (window.AudioContext || window.webkitAudioContext);
+        if (!AudioContextClass) return null;
+
+        context = new AudioContextClass();
+        master = context.createGain();
+        master.gain.value = volume / 100;
+        master.connect(context.destination);
+        return context;
+    };
+
+    /**
+     * Pack for the active theme - custom and high-contrast themes borrow the
+     * light or cyber pack by their background
+     */
+    const getPack = () => {
+        const theme = Themes.getCurrentTheme();
+        if (PACKS[theme]) return PACKS[theme];
+        return Themes.isDarkMode() ? PACKS.cyber : PACKS.light;
+    };
+
+    /**
+     * Play one note with a short attack and an exponential release
+     */
+    const playNote = (audio, pack, { note, at, length, level = 1 }) => {
+        const start = audio.currentTime + at;
+        const oscillator = audio.createOscillator();
+        const envelope = audio.createGain();
+
+        oscillator.type = pack.wave;
+        oscillator.frequency.value = pack.base * Math.pow(2, note / 12);
+
+        envelope.gain.setValueAtTime(0.0001, start);
+        envelope.gain.exponentialRampToValueAtTime(pack.gain * level, start + 0.01);
+        envelope.gain.exponentialRampToValueAtTime(0.0001, start + length);
+
+        oscillator.connect(envelope);
+        envelope.connect(master);
+        oscillator.start(start);
+        oscillator.stop(start + length + 0.02);
+    };
+
+    /**
+     * Play a list of notes
+     */
+    const playNotes = (notes) => {
+        if (!enabled || volume === 0) return false;
+
+        const audio = getContext();
+        if (!audio) return false;
+        if (audio.state === 'suspended') audio.resume();
+
+        const pack = getPack();
+        notes.forEach(note => playNote(audio, pack, note));
+        return true;
+    };
+
+    /**
+     * Play a named effect: 'key', 'hint', 'win', 'lose' or 'warning'
+     */
+    const play = (name) => {
+        return EFFECTS[name] ? playNotes(EFFECTS[name]) : false;
+    };
+
+    /**
+     * Feedback tone for a guess - longer codes are scaled onto the 0-4 steps
+     */
+    const playGuess = (exact, codeLength = 4) => {
+        const step = GUESS_STEPS[Math.round((Math.min(exact, codeLength) / codeLength) * (GUESS_STEPS.length - 1))];
+        return playNotes([
+            { note: step, at: 0, length: 0.09 },
+            { note: step, at: 0.11, length: 0.12 }
+        ]);
+    };
+
+    /**
+     * Turn sound on or off
+     */
+    const setEnabled = (on) => {
+        enabled = !!on;
+    };
+
+    /**
+     * Check if sound is on
+     */
+    const isEnabled = () => enabled;
+
+    /**
+     * Set the volume (0-100)
+     */
+    const setVolume = (value) => {
+        volume = Math.min(Math.max(Math.round(Number(value) || 0), 0), 100);
+        if (master) master.gain.value = volume / 100;
+    };
+
+    /**
+     * Get the volume (0-100)
+     */
+    const getVolume = () => volume;
+
+    // Public API
+    return {
+        play,
+        playGuess,
+        setEnabled,
+        isEnabled,
+        setVolume,
+        getVolume
+    };
+})();
+
+// Freeze object
+Object.freeze(Sound);
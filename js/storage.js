@@ -0,0 +1,284 @@
+/**
+ * STORAGE MODULE - Leaderboard Storage Adapters
+ * Version: 2.0.0
+ *
+ * Every adapter has the same promise-based interface:
+ *   load()               -> Promise<Array>   every stored entry (regular and daily)
+ *   save(entries)        -> Promise<boolean> replace the stored entries
+ *   query(index, value)  -> Promise<Array>   entries by 'player', 'difficulty' or 'date'
+ *                                            (value may be { from, to } for a range)
+ *   clear()              -> Promise<boolean>
+ * and a `name`. Daily Code entries are the ones with a dailyDate.
+ */
+
+const ScoreStorage = (() => {
+    'use strict';
+
+    // localStorage keys (also the legacy layout migrated into IndexedDB)
+    const LOCAL_KEY = 'cyber_lock_scores';
+    const LOCAL_DAILY_KEY = 'cyber_lock_daily_scores';
+    const MIGRATED_KEY = 'cyber_lock_scores_migrated';
+
+    // localStorage is small - keep the top scores and the last month of daily results
+    const MAX_LOCAL_ENTRIES = 100;
+    const MAX_LOCAL_DAILY_DAYS = 30;
+
+    // IndexedDB keeps everything
+    const DB_NAME = 'cyber_lock';
+    const DB_VERSION = 1;
+    const STORE_NAME = 'scores';
+    const INDEXES = ['player', 'difficulty', 'date'];
+
+    /**
+     * Check an entry against a query value (exact match or { from, to } range)
+     */
+    const matches = (entry, index, value) => {
+        const field = entry[index];
+        if (value && typeof value === 'object') {
+            if (field === undefined) return false;
+            if (value.from !== undefined && field < value.from) return false;
+            if (value.to !== undefined && field > value.to) return false;
+            return true;
+        }
+        return field === value;
+    };
+
+    /**
+     * Copy entries so callers can't mutate stored data
+     */
+    const copy = (entries) => JSON.parse(JSON.stringify(entries));
+
+    /**
+     * Adapter keeping entries in memory only (tests, private browsing)
+     */
+    const createMemoryAdapter = (initial = []) => {
+        let entries = copy(initial);
+
+        return {
+            name: 'memory',
+            load: () => Promise.resolve(copy(entries)),
+            save: (next) => {
+                entries = copy(next);
+                return Promise.resolve(true);
+            },
+            query: (index, value) => Promise.resolve(copy(entries.filter(e => matches(e, index, value)))),
+            clear: () => {
+                entries = [];
+                return Promise.resolve(true);
+            }
+        };
+    };
+
+    /**
+     * Read the localStorage layout
+     */
+    const readLocal = () => {
+        const stored = localStorage.getItem(LOCAL_KEY);
+        const storedDaily = localStorage.getItem(LOCAL_DAILY_KEY);
+        return [
+            ...(stored ? JSON.parse(stored) : []),
+            ...(storedDaily ? JSON.parse(storedDaily) : [])
+        ];
+    };
+
+    /**
+     * Adapter for the original localStorage layout (bounded)
+     */
+    const createLocalStorageAdapter = () => {
+        return {
+            name: 'localStorage',
+            load: () => new Promise(resolve => resolve(readLocal())),
+            save: (entries) => new Promise(resolve => {
+                // Keep only the top MAX_LOCAL_ENTRIES
+                const regular = entries.filter(e => !e.dailyDate)
+                    .sort((a, b) => b.score - a.score)
+                    .slice(0, MAX_LOCAL_ENTRIES);
+
+                // Keep only the last MAX_LOCAL_DAILY_DAYS days of daily results
+                const daily = entries.filter(e => e.dailyDate);
+                const days = [...new Set(daily.map(e => e.dailyDate))].sort().reverse();
+                const keepDays = days.slice(0, MAX_LOCAL_DAILY_DAYS);
+
+                localStorage.setItem(LOCAL_KEY, JSON.stringify(regular));
+                localStorage.setItem(LOCAL_DAILY_KEY, JSON.stringify(daily.filter(e => keepDays.includes(e.dailyDate))));
+                resolve(true);
+            }),
+            query: (index, value) => new Promise(resolve => {
+                resolve(readLocal().filter(e => matches(e, index, value)));
+            }),
+            clear: () => new Promise(resolve => {
+                localStorage.removeItem(LOCAL_KEY);
+                localStorage.removeItem(LOCAL_DAILY_KEY);
+                resolve(true);
+            })
+        };
+    };
+
+    /**
+     * Open (and create or upgrade) the score database
+     */
+    const openDatabase = () => new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+            INDEXES.forEach(index => store.createIndex(index, index));
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('Score database is blocked by another tab'));
+    });
+
+    /**
+     * Turn a query value into an IndexedDB key range
+     */
+    const toKeyRange = (value) => {
+        if (!value || typeof value !== 'object') return IDBKeyRange.only(value);
+        if (value.from !== undefined && value.to !== undefined) return IDBKeyRange.bound(value.from, value.to);
+        if (value.from !== undefined) return IDBKeyRange.lowerBound(value.from);
+        if (value.to !== undefined) return IDBKeyRange.upperBound(value.to);
+        return undefined;
+    };
+
+    /**
+     * Adapter keeping the full score history in IndexedDB (unbounded)
+     */
+    const createIndexedDBAdapter = () => {
+        let database = null;
+        const getDatabase = () => database || (database = openDatabase());
+
+        // What the store holds, as id -> serialized entry (null until read), so saves only write changes
+        let stored = null;
+        // Writes run one after another, each diffing against the one before
+        let writing = Promise.resolve();
+
+        /**
+         * Run one transaction; resolves with the result of the request work() returns
+         */
+        const run = (mode, work) => getDatabase().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = work(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : true);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+
+        /**
+         * Index entries by id
+         */
+        const serialize = (entries) => new Map(entries.map(entry => [entry.id, JSON.stringify(entry)]));
+
+        /**
+         * Read every entry (and remember what the store holds)
+         */
+        const load = () => run('readonly', store => store.getAll()).then(entries => {
+            stored = serialize(entries);
+            return entries;
+        });
+
+        /**
+         * Put new and changed entries and delete removed ones
+         */
+        const write = (entries) => (stored ? Promise.resolve() : load()).then(() => {
+            const next = serialize(entries);
+            return run('readwrite', store => {
+                entries.forEach(entry => {
+                    if (stored.get(entry.id) !== next.get(entry.id)) store.put(entry);
+                });
+                stored.forEach((_, id) => {
+                    if (!next.has(id)) store.delete(id);
+                });
+            }).then(result => {
+                stored = next;
+                return result;
+            });
+        }).catch(error => {
+            // Read the store again before the next save
+            stored = null;
+            throw error;
+        });
+
+        /**
+         * Run a write after the ones already queued
+         */
+        const queue = (task) => {
+            const result = writing.then(task);
+            writing = result.catch(() => {});
+            return result;
+        };
+
+        return {
+            name: 'indexedDB',
+            load,
+            save: (entries) => queue(() => write(entries)),
+            query: (index, value) => {
+                if (!INDEXES.includes(index)) return Promise.reject(new Error(`Unknown index: ${index}`));
+                return run('readonly', store => store.index(index).getAll(toKeyRange(value)));
+            },
+            clear: () => queue(() => run('readwrite', store => {
+                store.clear();
+            }).then(result => {
+                stored = new Map();
+                return result;
+            }))
+        };
+    };
+
+    /**
+     * Move localStorage scores into another adapter (once)
+     */
+    const migrateLocalStorage = (target) => {
+        if (localStorage.getItem(MIGRATED_KEY)) return Promise.resolve(target);
+
+        const legacy = readLocal();
+        const finish = () => {
+            localStorage.setItem(MIGRATED_KEY, new Date().toISOString());
+            localStorage.removeItem(LOCAL_KEY);
+            localStorage.removeItem(LOCAL_DAILY_KEY);
+            if (legacy.length > 0) console.log(`📦 Migrated ${legacy.length} scores to ${target.name}`);
+            return target;
+        };
+
+        if (legacy.length === 0) return Promise.resolve(finish());
+
+        return target.load().then(existing => {
+            // Merge by id - anything already in the target wins
+            const ids = new Set(existing.map(e => e.id));
+            const missing = legacy
+                .map(e => (e.id ? e : { ...e, id: `${e.timestamp || Date.now()}${Math.random().toString(36)}` }))
+                .filter(e => !ids.has(e.id));
+            return target.save([...existing, ...missing]);
+        }).then(finish);
+    };
+
+    /**
+     * Pick the best available adapter: IndexedDB (after migrating
+     * localStorage data), falling back to localStorage
+     * @returns {Promise<Object>} adapter
+     */
+    const open = () => {
+        if (typeof indexedDB === 'undefined' || !indexedDB) {
+            return Promise.resolve(createLocalStorageAdapter());
+        }
+
+        const adapter = createIndexedDBAdapter();
+        return adapter.load()
+            .then(() => migrateLocalStorage(adapter))
+            .catch(error => {
+                console.error('IndexedDB unavailable, using localStorage:', error);
+                return createLocalStorageAdapter();
+            });
+    };
+
+    // Public API
+    return {
+        open,
+        createMemoryAdapter,
+        createLocalStorageAdapter,
+        createIndexedDBAdapter,
+        migrateLocalStorage
+    };
+})();
+
+// Freeze object
+Object.freeze(ScoreStorage);
@@ -1,15 +1,71 @@
 /**
  * THEMES MODULE - Dark/Light/Cyber Theme System
  * Version: 2.0.0
+ *
+ * Custom themes set the colour custom properties inline on <body>;
+ * borders and glow follow the text colours like the built-in themes.
+ *
+ * The 'auto' mode follows the system: high contrast when the OS asks for
+ * more contrast, otherwise light or cyber by prefers-color-scheme.
+ * Reduced motion follows prefers-reduced-motion unless overridden.
  */
 
 const Themes = (() => {
     'use strict';
 
-    const STORAGE_KEY = 'cyber_lock_theme';
-    const THEMES = ['cyber', 'light', 'dark'];
+    const THEMES = ['cyber', 'light', 'dark', 'contrast'];
+    const AUTO = 'auto';
+
+    const ICONS = {
+        auto: 'fa-adjust',
+        cyber: 'fa-moon',
+        light: 'fa-sun',
+        dark: 'fa-star',
+        contrast: 'fa-eye'
+    };
+
+    const NAMES = {
+        auto: 'AUTO',
+        cyber: 'CYBER',
+        light: 'LIGHT',
+        dark: 'DARK',
+        contrast: 'HIGH CONTRAST'
+    };
+
+    // Reduced motion: follow the system, or force it on or off
+    const MOTION_MODES = ['auto', 'on', 'off'];
+
+    // User-defined themes
+    const CUSTOM_KEY = 'cyber_lock_custom_themes';
+    const CUSTOM_VERSION = 1;
+    const CUSTOM_PREFIX = 'custom-';
+    const MAX_CUSTOM_THEMES = 20;
+    const MAX_NAME_LENGTH = 24;
+
+    // Colours a custom theme can set, with their editor labels
+    const PROPERTIES = {
+        '--bg-primary': 'BACKGROUND',
+        '--bg-surface': 'SURFACE',
+        '--text-primary': 'PRIMARY',
+        '--text-secondary': 'SECONDARY',
+        '--text-accent': 'ACCENT'
+    };
+
+    // Properties derived from the editable ones
+    const DERIVED = {
+        '--border-primary': '--text-primary',
+        '--border-secondary': '--text-secondary',
+        '--glow-color': '--text-primary'
+    };
+
+    const HEX_COLOR = /^#[0-9a-f]{6}$/i;
     
     let currentTheme = 'cyber';
+    let currentMode = AUTO;
+    let motionMode = 'auto';
+    let reducedMotion = false;
+    let watching = false;
+    let customThemes = [];
     let onThemeChange = null;
 
     /**
@@ -17,9 +73,12 @@ const Themes = (() => {
      */
     const init = (callback = null) => {
         onThemeChange = callback;
+        loadCustomThemes();
         
         // Load saved theme
         loadTheme();
+        setMotion(Settings.get('reducedMotion'));
+        watchSystem();
         
         // Setup theme toggle button
         setupToggle();
@@ -28,59 +87,165 @@ const Themes = (() => {
     };
 
     /**
-     * Load theme from localStorage
+     * Load theme from settings
      */
     const loadTheme = () => {
+        const saved = Settings.get('theme');
+        if (saved && saved !== AUTO && getThemes().includes(saved)) {
+            setTheme(saved);
+        } else {
+            setTheme(AUTO, 'system'); // Default
+        }
+    };
+
+    /**
+     * Check a media query (false where matchMedia is missing)
+     */
+    const matches = (query) => typeof matchMedia === 'function' && matchMedia(query).matches;
+
+    /**
+     * Theme the system asks for
+     */
+    const getSystemTheme = () => {
+        if (matches('(prefers-contrast: more)')) return 'contrast';
+        return matches('(prefers-color-scheme: light)') ? 'light' : 'cyber';
+    };
+
+    /**
+     * Re-apply auto theme and motion when the system preferences change
+     */
+    const watchSystem = () => {
+        if (watching || typeof matchMedia !== 'function') return;
+        watching = true;
+
+        ['(prefers-color-scheme: light)', '(prefers-contrast: more)'].forEach(query => {
+            matchMedia(query).addEventListener('change', () => {
+                if (currentMode === AUTO) setTheme(AUTO, 'system');
+            });
+        });
+        matchMedia('(prefers-reduced-motion: reduce)').addEventListener('change', () => setMotion(motionMode));
+    };
+
+    /**
+     * Set reduced motion: 'auto' follows the system, 'on' / 'off' override it
+     */
+    const setMotion = (mode) => {
+        motionMode = MOTION_MODES.includes(mode) ? mode : 'auto';
+        reducedMotion = motionMode === 'auto' ? matches('(prefers-reduced-motion: reduce)') : motionMode === 'on';
+        document.body.classList.toggle('reduced-motion', reducedMotion);
+        return reducedMotion;
+    };
+
+    /**
+     * Check if animations should be kept to a minimum
+     */
+    const isReducedMotion = () => reducedMotion;
+
+    /**
+     * Save theme to settings
+     */
+    const saveTheme = (theme) => {
+        Settings.set('theme', theme);
+    };
+
+    /**
+     * Load custom themes from localStorage
+     */
+    const loadCustomThemes = () => {
         try {
-            const saved = localStorage.getItem(STORAGE_KEY);
-            if (saved && THEMES.includes(saved)) {
-                setTheme(saved);
-            } else {
-                setTheme('cyber'); // Default
-            }
+            const stored = localStorage.getItem(CUSTOM_KEY);
+            const data = stored ? JSON.parse(stored) : null;
+            customThemes = data && data.version === CUSTOM_VERSION && Array.isArray(data.themes) ?
+                data.themes.filter(isValidCustomTheme) : [];
         } catch (error) {
-            console.error('Failed to load theme:', error);
-            setTheme('cyber');
+            console.error('Failed to load custom themes:', error);
+            customThemes = [];
         }
     };
 
     /**
-     * Save theme to localStorage
+     * Save custom themes to localStorage
      */
-    const saveTheme = (theme) => {
+    const saveCustomThemes = () => {
         try {
-            localStorage.setItem(STORAGE_KEY, theme);
+            localStorage.setItem(CUSTOM_KEY, JSON.stringify({ version: CUSTOM_VERSION, themes: customThemes }));
         } catch (error) {
-            console.error('Failed to save theme:', error);
+            console.error('Failed to save custom themes:', error);
         }
     };
 
     /**
-     * Set theme
+     * Check a custom theme's name and colours
+     */
+    const isValidCustomTheme = (theme) => {
+        return !!theme && typeof theme === 'object' &&
+            typeof theme.name === 'string' && theme.name.trim().length > 0 && theme.name.length <= MAX_NAME_LENGTH &&
+            !!theme.colors && Object.keys(PROPERTIES).every(prop => HEX_COLOR.test(theme.colors[prop]));
+    };
+
+    /**
+     * Theme id for a custom theme name
      */
-    const setTheme = (theme) => {
-        if (!THEMES.includes(theme)) return false;
+    const toCustomId = (name) => {
+        return CUSTOM_PREFIX + name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    };
+
+    /**
+     * Find a custom theme by id
+     */
+    const getCustomTheme = (id) => customThemes.find(t => t.id === id) || null;
+
+    /**
+     * Set (or clear, with null) the inline colour properties
+     */
+    const applyColors = (colors) => {
+        Object.keys(PROPERTIES).forEach(prop => {
+            if (colors) {
+                document.body.style.setProperty(prop, colors[prop]);
+            } else {
+                document.body.style.removeProperty(prop);
+            }
+        });
+        Object.entries(DERIVED).forEach(([prop, source]) => {
+            if (colors) {
+                document.body.style.setProperty(prop, colors[source]);
+            } else {
+                document.body.style.removeProperty(prop);
+            }
+        });
+    };
+
+    /**
+     * Set theme ('auto' follows the system)
+     * @param {string} source - 'user' when chosen by the player, 'system' when it follows the OS
+     */
+    const setTheme = (mode, source = 'user') => {
+        const theme = mode === AUTO ? getSystemTheme() : mode;
+        const custom = getCustomTheme(theme);
+        if (!THEMES.includes(theme) && !custom) return false;
 
         // Remove existing theme classes
-        document.body.classList.remove(...THEMES.map(t => `${t}-theme`));
+        document.body.classList.remove(...THEMES.map(t => `${t}-theme`), 'custom-theme');
         
         // Add new theme class
-        document.body.classList.add(`${theme}-theme`);
+        document.body.classList.add(custom ? 'custom-theme' : `${theme}-theme`);
+        applyColors(custom ? custom.colors : null);
         
         // Update current theme
         currentTheme = theme;
+        currentMode = mode;
         
         // Update toggle button icon
-        updateToggleIcon(theme);
+        updateToggleIcon(mode);
         
         // Save preference
-        saveTheme(theme);
+        saveTheme(mode);
         
         // Trigger callback
         if (onThemeChange) onThemeChange(theme);
         
         // Dispatch event for other modules
-        window.dispatchEvent(new CustomEvent('themechange', { detail: { theme } }));
+        window.dispatchEvent(new CustomEvent('themechange', { detail: { theme, mode, source } }));
         
         return true;
     };
@@ -89,9 +254,10 @@ const Themes = (() => {
      * Toggle to next theme
      */
     const toggleTheme = () => {
-        const currentIndex = THEMES.indexOf(currentTheme);
-        const nextIndex = (currentIndex + 1) % THEMES.length;
-        const nextTheme = THEMES[nextIndex];
+        const themes = getThemes();
+        const currentIndex = themes.indexOf(currentMode);
+        const nextIndex = (currentIndex + 1) % themes.length;
+        const nextTheme = themes[nextIndex];
         
         setTheme(nextTheme);
         
@@ -122,15 +288,9 @@ const Themes = (() => {
         const toggleBtn = document.getElementById('themeToggle');
         if (!toggleBtn) return;
 
-        const icons = {
-            cyber: 'fa-moon',
-            light: 'fa-sun',
-            dark: 'fa-star'
-        };
-
         const icon = toggleBtn.querySelector('i');
         if (icon) {
-            icon.className = `fas ${icons[theme] || 'fa-moon'}`;
+            icon.className = `fas ${ICONS[theme] || (getCustomTheme(theme) ? 'fa-palette' : 'fa-moon')}`;
         }
     };
 
@@ -138,18 +298,14 @@ const Themes = (() => {
      * Show theme change notification
      */
     const showThemeNotification = (theme) => {
-        const names = {
-            cyber: 'CYBER MODE',
-            light: 'LIGHT MODE',
-            dark: 'DARK MODE'
-        };
+        const custom = getCustomTheme(theme);
+        const icon = custom ? 'fa-palette' : ICONS[theme];
 
         const notification = document.createElement('div');
         notification.className = 'theme-saved';
-        notification.innerHTML = `
-            <i class="fas ${theme === 'cyber' ? 'fa-moon' : theme === 'light' ? 'fa-sun' : 'fa-star'}"></i>
-            <span>${names[theme]} ACTIVATED</span>
-        `;
+        notification.innerHTML = `<i class="fas ${icon}"></i><span></span>`;
+        // Custom theme names are user text
+        notification.querySelector('span').textContent = `${custom ? custom.name.toUpperCase() : `${NAMES[theme]} MODE`} ACTIVATED`;
         
         document.body.appendChild(notification);
         
@@ -164,15 +320,286 @@ const Themes = (() => {
     const getCurrentTheme = () => currentTheme;
 
     /**
-     * Get all available themes
+     * Get the chosen mode ('auto' or a theme)
+     */
+    const getMode = () => currentMode;
+
+    /**
+     * Get all available themes (auto, built-in, then custom)
      */
-    const getThemes = () => [...THEMES];
+    const getThemes = () => [AUTO, ...THEMES, ...customThemes.map(t => t.id)];
 
     /**
-     * Check if dark mode is active
+     * Display name of a theme
+     */
+    const getThemeName = (theme) => {
+        const custom = getCustomTheme(theme);
+        if (custom) return custom.name;
+        return theme === AUTO ? `AUTO (${NAMES[getSystemTheme()]})` : NAMES[theme] || theme.toUpperCase();
+    };
+
+    /**
+     * Current values of the editable colours
+     */
+    const getColors = () => {
+        const custom = getCustomTheme(currentTheme);
+        if (custom) return { ...custom.colors };
+
+        const style = getComputedStyle(document.body);
+        const colors = {};
+        Object.keys(PROPERTIES).forEach(prop => {
+            colors[prop] = toHex(style.getPropertyValue(prop)) || '#000000';
+        });
+        return colors;
+    };
+
+    /**
+     * Parse a CSS colour (#rgb, #rrggbb or rgb()) to [r, g, b]
+     */
+    const parseColor = (value) => {
+        const color = String(value || '').trim();
+        let match = color.match(/^#([0-9a-f]{3})$/i);
+        if (match) return match[1].split('').map(c => parseInt(c + c, 16));
+        match = color.match(/^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i);
+        if (match) return match.slice(1).map(c => parseInt(c, 16));
+        match = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)/i);
+        if (match) return match.slice(1).map(Number);
+        return null;
+    };
+
+    /**
+     * CSS colour as #rrggbb (null if it can't be parsed)
+     */
+    const toHex = (value) => {
+        const rgb = parseColor(value);
+        return rgb ? `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}` : null;
+    };
+
+    /**
+     * Relative luminance (0 black - 1 white)
+     */
+    const luminance = ([r, g, b]) => {
+        const linear = c => {
+            const v = c / 255;
+            return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+        };
+        return 0.2126 * linear(r) + 0.7152 * linear(g) + 0.0722 * linear(b);
+    };
+
+    /**
+     * Check if dark mode is active - worked out from the background colour
      */
     const isDarkMode = () => {
-        return currentTheme === 'cyber' || currentTheme === 'dark';
+        const rgb = parseColor(getColors()['--bg-primary']);
+        return rgb ? luminance(rgb) < 0.5 : true;
+    };
+
+    /**
+     * Save a custom theme (a theme with the same name is replaced) and switch to it
+     * @returns {Object} { success, id, error }
+     */
+    const saveCustomTheme = (name, colors) => {
+        const theme = { name: String(name || '').trim(), colors: { ...colors } };
+        if (!isValidCustomTheme(theme)) {
+            return { success: false, id: null, error: `Name (1-${MAX_NAME_LENGTH} characters) and colours (#rrggbb) required` };
+        }
+
+        theme.id = toCustomId(theme.name);
+        if (theme.id === CUSTOM_PREFIX) return { success: false, id: null, error: 'Name needs a letter or digit' };
+
+        const index = customThemes.findIndex(t => t.id === theme.id);
+        if (index === -1 && customThemes.length >= MAX_CUSTOM_THEMES) {
+            return { success: false, id: null, error: `At most ${MAX_CUSTOM_THEMES} custom themes` };
+        }
+        if (index === -1) {
+            customThemes.push(theme);
+        } else {
+            customThemes[index] = theme;
+        }
+
+        saveCustomThemes();
+        setTheme(theme.id);
+        return { success: true, id: theme.id, error: null };
+    };
+
+    /**
+     * Delete a custom theme (falls back to AUTO, the system theme, if it was active)
+     */
+    const deleteCustomTheme = (id) => {
+        if (!getCustomTheme(id)) return false;
+
+        customThemes = customThemes.filter(t => t.id !== id);
+        saveCustomThemes();
+        if (currentMode === id) setTheme(AUTO);
+        return true;
+    };
+
+    /**
+     * Custom themes as a JSON document
+     */
+    const exportThemes = () => {
+        return JSON.stringify({
+            app: 'cyber-lock',
+            version: CUSTOM_VERSION,
+            themes: customThemes.map(({ name, colors }) => ({ name, colors }))
+        }, null, 2);
+    };
+
+    /**
+     * Add custom themes from an exported JSON document (same names are replaced)
+     * @returns {Object} { success, imported, rejected, error }
+     */
+    const importThemes = (json) => {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            return { success: false, imported: 0, rejected: 0, error: 'Not valid JSON' };
+        }
+        if (!data || !Array.isArray(data.themes)) {
+            return { success: false, imported: 0, rejected: 0, error: 'Not a themes file' };
+        }
+
+        let imported = 0;
+        let rejected = 0;
+        data.themes.forEach(theme => {
+            const candidate = { ...theme, name: typeof theme?.name === 'string' ? theme.name.trim() : theme?.name };
+            const id = isValidCustomTheme(candidate) ? toCustomId(candidate.name) : CUSTOM_PREFIX;
+            const index = customThemes.findIndex(t => t.id === id);
+            if (id === CUSTOM_PREFIX || (index === -1 && customThemes.length >= MAX_CUSTOM_THEMES)) {
+                rejected++;
+                return;
+            }
+
+            const entry = { id, name: candidate.name, colors: {} };
+            Object.keys(PROPERTIES).forEach(prop => {
+                entry.colors[prop] = candidate.colors[prop];
+            });
+            if (index === -1) {
+                customThemes.push(entry);
+            } else {
+                customThemes[index] = entry;
+            }
+            imported++;
+        });
+
+        saveCustomThemes();
+        // The active theme may have been redefined
+        if (getCustomTheme(currentMode)) setTheme(currentMode);
+        return { success: true, imported, rejected, error: null };
+    };
+
+    /**
+     * Open the theme editor on the current theme's colours
+     */
+    const openEditor = () => {
+        const modal = document.getElementById('themeEditorModal');
+        if (!modal) return;
+
+        const colors = getColors();
+        const fields = document.getElementById('themeEditorFields');
+        if (fields) {
+            fields.innerHTML = Object.entries(PROPERTIES).map(([prop, label]) => `
+                <label for="themeColor${prop}">${label}</label>
+                <input type="color" id="themeColor${prop}" data-property="${prop}" value="${colors[prop]}">
+            `).join('');
+            fields.querySelectorAll('input[type="color"]').forEach(input => {
+                input.addEventListener('input', () => previewColors());
+            });
+        }
+
+        const nameInput = document.getElementById('themeEditorName');
+        const custom = getCustomTheme(currentTheme);
+        if (nameInput) nameInput.value = custom ? custom.name : '';
+
+        modal.classList.add('show');
+    };
+
+    /**
+     * Colours currently picked in the editor
+     */
+    const readEditorColors = () => {
+        const colors = {};
+        document.querySelectorAll('#themeEditorFields input[data-property]').forEach(input => {
+            colors[input.dataset.property] = input.value;
+        });
+        return colors;
+    };
+
+    /**
+     * Live preview of the editor's colours (not saved)
+     */
+    const previewColors = () => {
+        applyColors(readEditorColors());
+    };
+
+    /**
+     * Close the editor and drop any unsaved preview
+     */
+    const closeEditor = () => {
+        document.getElementById('themeEditorModal')?.classList.remove('show');
+        setTheme(currentMode);
+    };
+
+    /**
+     * Save the editor's colours under the typed name
+     */
+    const saveFromEditor = () => {
+        const name = document.getElementById('themeEditorName')?.value;
+        const result = saveCustomTheme(name, readEditorColors());
+        if (!result.success) {
+            UI.showMessage(result.error, 'error');
+            return;
+        }
+
+        document.getElementById('themeEditorModal')?.classList.remove('show');
+        UI.showMessage(`Theme ${getThemeName(result.id)} saved`, 'success');
+    };
+
+    /**
+     * Delete the theme being edited
+     */
+    const deleteFromEditor = () => {
+        const custom = getCustomTheme(currentTheme);
+        if (!custom) {
+            UI.showMessage('Built-in themes cannot be deleted', 'error');
+            return;
+        }
+        if (!confirm(`Delete the ${custom.name} theme?`)) return;
+
+        deleteCustomTheme(custom.id);
+        closeEditor();
+    };
+
+    /**
+     * Download the custom themes as a JSON file
+     */
+    const downloadThemes = () => {
+        const dataUri = 'data:application/json;charset=utf-8,' + encodeURIComponent(exportThemes());
+
+        const linkElement = document.createElement('a');
+        linkElement.setAttribute('href', dataUri);
+        linkElement.setAttribute('download', `cyber-lock-themes-${new Date().toISOString()}.json`);
+        linkElement.click();
+    };
+
+    /**
+     * Import custom themes from the editor's file input
+     */
+    const importFromEditor = (input) => {
+        const file = input?.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const report = importThemes(reader.result);
+            UI.showMessage(report.success ?
+                `Imported ${report.imported} theme(s)${report.rejected ? `, ${report.rejected} invalid` : ''}` :
+                `Import failed: ${report.error}`, report.success ? 'success' : 'error');
+            input.value = '';
+        };
+        reader.onerror = () => UI.showMessage('Could not read the file', 'error');
+        reader.readAsText(file);
     };
 
     // Public API
@@ -181,8 +608,23 @@ const Themes = (() => {
         setTheme,
         toggleTheme,
         getCurrentTheme,
+        getMode,
         getThemes,
-        isDarkMode
+        getThemeName,
+        getColors,
+        isDarkMode,
+        setMotion,
+        isReducedMotion,
+        saveCustomTheme,
+        deleteCustomTheme,
+        exportThemes,
+        importThemes,
+        openEditor,
+        closeEditor,
+        saveFromEditor,
+        deleteFromEditor,
+        downloadThemes,
+        importFromEditor
     };
 })();
 
@@ -9,9 +9,18 @@ const UI = (() => {
     // DOM Elements cache
     const elements = {};
 
+    // Seconds left on the clock that are read out to screen readers
+    const TIMER_MILESTONES = [60, 30, 10, 5];
+
+    // Settings that configure the game - changing one resets it
+    const GAME_SETTING_KEYS = ['difficulty', 'timerDuration', 'codeLength', 'symbolSet', 'variant', 'logicMode'];
+
     // Current state
     let currentTab = 'history';
-    let soundEnabled = true;
+    let lastAttempts = 0;
+    let leaderboardPage = 1;
+    // Possible-code count for the last guess list: { key, count }
+    let possibleCache = { key: null, count: null };
 
     /**
      * Initialize UI
@@ -21,7 +30,6 @@ const UI = (() => {
         setupEventListeners();
         updateGameUI(Game.getState());
         updateLeaderboard();
-        updateAchievements();
         
         // Observe game changes
         Game.init({
@@ -30,9 +38,40 @@ const UI = (() => {
             onGameEnd: handleGameEnd
         });
 
+        // Start from the saved preferences
+        applySettings();
+        window.addEventListener('settingschange', (e) => {
+            applySettings(e.detail.keys);
+            if (elements.settingsModal?.classList.contains('show')) renderSettings();
+        });
+
+        // Offer to resume an unfinished game
+        const saved = Game.getSavedGame();
+        if (saved) showResumeModal(saved);
+
+        // Stats follow the active player and every recorded game
+        const refreshStats = () => {
+            if (elements.statsModal?.classList.contains('show')) renderStats();
+        };
+        window.addEventListener('profilechange', refreshStats);
+        // Leaderboard highlights follow the active player
+        window.addEventListener('profilechange', () => updateLeaderboard());
+        window.addEventListener('gamerecorded', refreshStats);
+
+        // Scores load asynchronously from storage
+        window.addEventListener('leaderboardchange', () => {
+            updateLeaderboard();
+        });
+
+        // Achievements are re-checked after games, saves and profile switches
+        window.addEventListener('achievementchange', (e) => {
+            updateAchievements();
+            if (!e.detail.silent) e.detail.unlocked.forEach(showAchievementToast);
+        });
+
         // Observe theme changes
         window.addEventListener('themechange', (e) => {
-            console.log('Theme changed:', e.detail.theme);
+            console.log(`Theme changed: ${e.detail.theme} (${e.detail.source})`);
         });
     };
 
@@ -42,10 +81,17 @@ const UI = (() => {
     const cacheElements = () => {
         const ids = [
             'secretDisplay', 'attemptsDisplay', 'remainingDisplay',
-            'hintsDisplay', 'timerDisplay', 'guessInput', 'guessBtn',
+            'hintsDisplay', 'timerDisplay', 'guessBtn',
             'hintBtn', 'messageText', 'messagePanel', 'historyList',
             'leaderboardList', 'achievementsList', 'soundBtn',
-            'progressBar', 'timerStat', 'scoreModal', 'playerName'
+            'progressBar', 'timerStat', 'scoreModal', 'playerName',
+            'possibleDisplay', 'suggestBtn', 'codeLengthSelect', 'symbolSetSelect', 'dailyLeaderboardList',
+            'dailyLeaderboardTitle', 'resumeModal', 'resumeSummary', 'variantSelect',
+            'historyExactHeader', 'historyPartialHeader', 'leaderboardServerUrl', 'leaderboardSyncStatus',
+            'importModal', 'importFile', 'importMode', 'importReport', 'statsToggle', 'statsModal',
+            'statsTitle', 'statsCards', 'statsHistogram', 'statsDifficulty', 'achievementToasts',
+            'difficultyFilter', 'rangeFilter', 'sortFilter', 'leaderboardSearch', 'leaderboardPrev',
+            'leaderboardNext', 'leaderboardPageInfo', 'prospectiveRank', 'settingsToggle', 'settingsModal', 'settingsFile'
         ];
         
         ids.forEach(id => {
@@ -57,14 +103,35 @@ const UI = (() => {
      * Setup event listeners
      */
     const setupEventListeners = () => {
-        // Input validation
-        elements.guessInput?.addEventListener('input', (e) => {
-            e.target.value = e.target.value.replace(/[^0-9]/g, '');
+        // Guess cells and keypad - Enter submits
+        CodeInput.init({ onSubmit: makeGuess });
+
+        // Notes panel
+        Notes.init();
+
+        // Tabs - click, or arrow keys / Home / End between them
+        const tabs = Array.from(document.querySelectorAll('.tab-btn'));
+        tabs.forEach(tab => {
+            tab.addEventListener('click', () => switchTab(tab.dataset.tab));
+            tab.addEventListener('keydown', (e) => {
+                const target = A11y.getTabTarget(tabs, tab, e.key);
+                if (!target) return;
+                e.preventDefault();
+                switchTab(target.dataset.tab);
+                target.focus();
+            });
         });
 
-        // Enter key
-        elements.guessInput?.addEventListener('keypress', (e) => {
-            if (e.key === 'Enter') makeGuess();
+        // Stats dashboard
+        elements.statsToggle?.addEventListener('click', openStats);
+
+        // Settings panel
+        elements.settingsToggle?.addEventListener('click', openSettings);
+        elements.settingsFile?.addEventListener('change', importSettings);
+
+        // Remember the code settings the game accepted
+        ['codeLengthSelect', 'symbolSetSelect', 'variantSelect'].forEach(id => {
+            elements[id]?.addEventListener('change', rememberGameSettings);
         });
 
         // Difficulty buttons
@@ -73,6 +140,7 @@ const UI = (() => {
                 document.querySelectorAll('.difficulty-btn').forEach(b => 
                     b.classList.remove('active'));
                 this.classList.add('active');
+                rememberGameSettings();
             });
         });
 
@@ -82,16 +150,56 @@ const UI = (() => {
                 document.querySelectorAll('.timer-btn').forEach(b => 
                     b.classList.remove('active'));
                 this.classList.add('active');
+                rememberGameSettings();
+            });
+        });
+
+        // Mode buttons
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                document.querySelectorAll('.mode-btn').forEach(b => 
+                    b.classList.remove('active'));
+                this.classList.add('active');
+                // Back from the Daily Code to the player's own code settings
+                if (this.dataset.mode === 'free') applySettings();
+            });
+        });
+
+        // Logic buttons
+        document.querySelectorAll('.logic-btn').forEach(btn => {
+            btn.addEventListener('click', function() {
+                document.querySelectorAll('.logic-btn').forEach(b => 
+                    b.classList.remove('active'));
+                this.classList.add('active');
+                rememberGameSettings();
             });
         });
     };
 
+    /**
+     * Count the codes still possible, solving again only when the guesses or code settings change
+     */
+    const getPossibleCount = (state) => {
+        const key = [state.codeLength, state.symbols, state.variant,
+            ...state.guesses.map(g => `${g.sequence}:${Game.feedbackKey(g)}`)].join('|');
+        if (key !== possibleCache.key) {
+            possibleCache = { key, count: Solver.countCandidates(state.guesses, state) };
+        }
+        return possibleCache.count;
+    };
+
     /**
      * Update game UI
      */
     const updateGameUI = (state) => {
         if (!state) return;
 
+        // Feedback tone for each new guess (the game end has its own sound)
+        if (state.attempts === lastAttempts + 1 && !state.gameOver && state.guesses[0]) {
+            Sound.playGuess(state.guesses[0].exact, state.codeLength);
+        }
+        lastAttempts = state.attempts;
+
         // Update displays
         updateText('secretDisplay', state.secret);
         updateText('attemptsDisplay', `${state.attempts}/${state.maxAttempts}`);
@@ -111,13 +219,38 @@ const UI = (() => {
         if (elements.hintBtn) {
             elements.hintBtn.disabled = state.gameOver || state.remainingHints === 0;
         }
+        if (elements.suggestBtn) elements.suggestBtn.disabled = state.gameOver;
+
+        // Possible codes remaining
+        const possible = getPossibleCount(state);
+        updateText('possibleDisplay', possible === null ? '∞' : possible);
 
         // Update guess button and input
         if (elements.guessBtn) elements.guessBtn.disabled = state.gameOver;
-        if (elements.guessInput) elements.guessInput.disabled = state.gameOver;
+
+        // Match the cells and keypad to the code configuration
+        CodeInput.configure(state.codeLength, state.symbolSet, state.symbols);
+        CodeInput.setDisabled(state.gameOver);
+
+        // Pencil marks
+        Notes.render(state);
+
+        // Daily Code locks the code settings
+        if (elements.codeLengthSelect) {
+            elements.codeLengthSelect.value = state.codeLength;
+            elements.codeLengthSelect.disabled = state.dailyMode;
+        }
+        if (elements.symbolSetSelect) {
+            elements.symbolSetSelect.value = state.symbolSet;
+            elements.symbolSetSelect.disabled = state.dailyMode;
+        }
+        if (elements.variantSelect) {
+            elements.variantSelect.value = state.variant;
+            elements.variantSelect.disabled = state.dailyMode || state.remote;
+        }
 
         // Update history
-        updateHistory(state.guesses);
+        updateHistory(state.guesses, state.codeLength, state.logicMode !== 'off', state.variant);
     };
 
     /**
@@ -131,10 +264,16 @@ const UI = (() => {
         elements.timerDisplay.textContent = 
             `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
         
+        // Read out milestones as the clock runs down (not the starting time)
+        if (TIMER_MILESTONES.includes(timeLeft) && timeLeft < Game.getState().timerDuration) {
+            A11y.announce(`${timeLeft} seconds left`, timeLeft <= 10 ? 'assertive' : 'polite');
+        }
+
         // Warning when low on time
         if (timeLeft <= 10) {
             elements.timerDisplay.style.color = 'var(--text-secondary)';
             elements.timerDisplay.classList.add('pulse');
+            if (timeLeft > 0) Sound.play('warning');
         } else {
             elements.timerDisplay.style.color = '';
             elements.timerDisplay.classList.remove('pulse');
@@ -162,9 +301,13 @@ const UI = (() => {
     /**
      * Update history display
      */
-    const updateHistory = (guesses) => {
+    const updateHistory = (guesses, codeLength = 4, flagInconsistent = false, variant = 'classic') => {
         if (!elements.historyList) return;
 
+        const rules = Rules.getVariant(variant);
+        updateText('historyExactHeader', rules.labels.exact);
+        updateText('historyPartialHeader', rules.labels.partial);
+
         if (!guesses || guesses.length === 0) {
             elements.historyList.innerHTML = `
                 <div class="empty-state">
@@ -177,15 +320,17 @@ const UI = (() => {
 
         let html = '';
         guesses.forEach(g => {
+            const flagged = flagInconsistent && g.inconsistent;
             html += `
-                <div class="history-row">
+                <div class="history-row ${flagged ? 'inconsistent' : ''}"
+                     ${flagged ? 'title="Contradicts earlier feedback"' : ''}>
                     <div>#${g.attempt}</div>
-                    <div>${g.sequence}</div>
+                    <div class="history-code">${rules.renderGuess(g)}</div>
                     <div class="text-primary">${g.exact}</div>
                     <div class="text-accent">${g.partial}</div>
                     <div>${g.time}</div>
-                    <div class="${g.exact === 4 ? 'text-primary' : (g.exact > 0 ? 'text-accent' : 'text-secondary')}">
-                        ${g.exact === 4 ? 'WIN' : (g.exact > 0 ? 'MATCH' : 'NO MATCH')}
+                    <div class="${g.exact === codeLength ? 'text-primary' : (g.exact > 0 ? 'text-accent' : 'text-secondary')}">
+                        ${g.exact === codeLength ? 'WIN' : (g.exact > 0 ? 'MATCH' : 'NO MATCH')}${flagged ? ' ⚠' : ''}
                     </div>
                 </div>
             `;
@@ -200,39 +345,356 @@ const UI = (() => {
     const updateLeaderboard = () => {
         if (!elements.leaderboardList) return;
 
-        const difficulty = document.getElementById('difficultyFilter')?.value || 'all';
-        const scores = Leaderboard.getTopScores(20, difficulty);
+        const result = Leaderboard.queryScores({
+            difficulty: elements.difficultyFilter?.value,
+            range: elements.rangeFilter?.value,
+            sort: elements.sortFilter?.value,
+            search: elements.leaderboardSearch?.value,
+            page: leaderboardPage
+        });
+        leaderboardPage = result.page;
+
+        const filtered = result.total < Leaderboard.getScores().length;
+        elements.leaderboardList.innerHTML = renderScoreRows(
+            result.scores,
+            filtered ? 'No scores match these filters.' : 'No scores yet. Be the first!',
+            (result.page - 1) * result.pageSize
+        );
+        updateText('leaderboardPageInfo', `PAGE ${result.page}/${result.pages}`);
+        if (elements.leaderboardPrev) elements.leaderboardPrev.disabled = result.page <= 1;
+        if (elements.leaderboardNext) elements.leaderboardNext.disabled = result.page >= result.pages;
+        updateSyncStatus();
+
+        // Daily Code section
+        if (elements.dailyLeaderboardList) {
+            const today = Game.getDailySeed().slice('daily-'.length);
+            updateText('dailyLeaderboardTitle', `DAILY CODE ${today}`);
+            elements.dailyLeaderboardList.innerHTML = renderScoreRows(
+                Leaderboard.getDailyScores(today),
+                'No daily results yet. Crack today\'s code!'
+            );
+        }
+    };
+
+    /**
+     * Apply changed leaderboard filters from the first page
+     */
+    const filterLeaderboard = () => {
+        leaderboardPage = 1;
+        updateLeaderboard();
+    };
+
+    /**
+     * Move through leaderboard pages
+     */
+    const changeLeaderboardPage = (delta) => {
+        leaderboardPage += delta;
+        updateLeaderboard();
+    };
+
+    /**
+     * Show the shared leaderboard connection state
+     */
+    const updateSyncStatus = () => {
+        const status = Leaderboard.getSyncStatus();
+
+        if (elements.leaderboardServerUrl && document.activeElement !== elements.leaderboardServerUrl) {
+            elements.leaderboardServerUrl.value = status.remoteUrl || '';
+        }
+
+        let text = 'LOCAL ONLY';
+        if (status.remoteUrl) {
+            if (status.syncing) {
+                text = 'SYNCING...';
+            } else if (status.error) {
+                text = `OFFLINE · ${status.queued} QUEUED`;
+            } else {
+                text = status.lastSync ? `SYNCED ${new Date(status.lastSync).toLocaleTimeString()}` : 'CONNECTING...';
+            }
+        }
+        updateText('leaderboardSyncStatus', text);
+    };
+
+    /**
+     * Connect the leaderboard to the server in the URL box (empty disconnects)
+     */
+    const connectLeaderboard = () => {
+        const url = elements.leaderboardServerUrl?.value || '';
+        Leaderboard.setRemote(url).then(ok => {
+            if (!url.trim()) {
+                showMessage('Leaderboard is local only', 'info');
+            } else if (ok) {
+                showMessage('Leaderboard synced with the server', 'success');
+            } else {
+                showMessage('Server unreachable - scores will be sent when it is back', 'error');
+            }
+        });
+        updateSyncStatus();
+    };
+
+    /**
+     * Open the stats dashboard
+     */
+    const openStats = () => {
+        renderStats();
+        elements.statsModal?.classList.add('show');
+    };
+
+    /**
+     * Close the stats dashboard
+     */
+    const closeStats = () => {
+        elements.statsModal?.classList.remove('show');
+    };
+
+    /**
+     * Render the active player's stats dashboard
+     */
+    const renderStats = () => {
+        const profile = Profiles.getActive();
+        const stats = Profiles.getStats();
+
+        updateText('statsTitle', profile ? `${profile.avatar} ${profile.name}` : 'PLAYER STATS');
+
+        if (elements.statsCards) {
+            const cards = [
+                ['GAMES', stats.totalGames],
+                ['WIN RATE', `${stats.winRate}%`],
+                ['STREAK', stats.currentStreak],
+                ['BEST STREAK', stats.longestStreak],
+                ['BEST SCORE', Leaderboard.formatScore(stats.bestScore)],
+                ['AVG ATTEMPTS', stats.averageAttempts || '-'],
+                ['AVG SOLVE', stats.averageSolveTime ? formatDuration(stats.averageSolveTime) : '-'],
+                ['HINTS / GAME', stats.averageHints]
+            ];
+            elements.statsCards.innerHTML = cards.map(([label, value]) => `
+                <div class="stats-card">
+                    <div class="stats-card-value">${value}</div>
+                    <div class="stats-card-label">${label}</div>
+                </div>
+            `).join('');
+        }
+
+        if (elements.statsHistogram) {
+            const distribution = stats.attemptsDistribution;
+            const counts = Object.values(distribution);
+            const longest = Math.max(6, ...Object.keys(distribution).map(Number));
+            const peak = Math.max(1, ...counts);
+
+            let html = '';
+            for (let attempts = 1; attempts <= longest; attempts++) {
+                const count = distribution[attempts] || 0;
+                html += `
+                    <div class="histogram-row">
+                        <div>${attempts}</div>
+                        <div class="histogram-track">
+                            <div class="histogram-bar" style="width: ${Math.round((count / peak) * 100)}%"></div>
+                        </div>
+                        <div>${count}</div>
+                    </div>
+                `;
+            }
+            elements.statsHistogram.innerHTML = counts.length === 0 ?
+                '<p class="modal-text">No wins yet.</p>' : html;
+        }
+
+        if (elements.statsDifficulty) {
+            let html = `
+                <div class="stats-difficulty-row stats-difficulty-head">
+                    <div>LEVEL</div><div>PLAYED</div><div>WON</div><div>BEST</div><div>AVG TRIES</div>
+                </div>
+            `;
+            Object.entries(stats.byDifficulty).forEach(([level, s]) => {
+                html += `
+                    <div class="stats-difficulty-row">
+                        <div>${level.toUpperCase()}</div>
+                        <div>${s.games}</div>
+                        <div>${s.wins} (${s.winRate}%)</div>
+                        <div class="text-primary">${s.bestScore}</div>
+                        <div>${s.averageAttempts || '-'}</div>
+                    </div>
+                `;
+            });
+            elements.statsDifficulty.innerHTML = html;
+        }
+    };
+
+    /**
+     * Format seconds as m:ss
+     */
+    const formatDuration = (seconds) => {
+        return `${Math.floor(seconds / 60)}:${(seconds % 60).toString().padStart(2, '0')}`;
+    };
+
+    /**
+     * Record a finished game for the active player
+     */
+    const recordGame = (result) => {
+        const state = Game.getState();
+        const events = Game.getReplay().events;
+        const end = events[events.length - 1];
+
+        GameHistory.record({
+            profileId: Profiles.getActive()?.id,
+            result,
+            attempts: state.attempts,
+            maxAttempts: state.maxAttempts,
+            hintsUsed: state.hintsUsed,
+            suggestionsUsed: state.suggestionsUsed,
+            difficulty: state.difficulty,
+            variant: state.variant,
+            time: end && end.type === 'end' ? Math.round(end.t / 1000) : 0,
+            score: state.score,
+            mode: Race.isActive() ? 'race' : (Ranked.isActive() ? 'ranked' : (state.dailyMode ? 'daily' : 'solo')),
+            dailyDate: state.dailyDate
+        });
+    };
+
+    /**
+     * Copy the finished game's result card and link
+     */
+    const shareResult = () => {
+        const state = Game.getState();
+        if (!state.gameOver || state.attempts === 0) {
+            showMessage('Finish a game to share your result!', 'error');
+            return;
+        }
+
+        Share.copyResult(state)
+            .then(() => showMessage('📋 Result card copied - paste it anywhere!', 'success'))
+            .catch(() => showMessage('Could not copy to the clipboard', 'error'));
+    };
+
+    /**
+     * Escape text for use in HTML (names and reasons from imported files)
+     */
+    const escapeHtml = (text) => {
+        return String(text).replace(/[&<>"']/g, ch => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[ch]);
+    };
+
+    /**
+     * Open the score import dialog
+     */
+    const openImport = () => {
+        if (elements.importFile) elements.importFile.value = '';
+        if (elements.importReport) elements.importReport.innerHTML = '';
+        elements.importModal?.classList.add('show');
+    };
+
+    /**
+     * Close the score import dialog
+     */
+    const closeImport = () => {
+        elements.importModal?.classList.remove('show');
+    };
+
+    /**
+     * Import the chosen file and show the report
+     */
+    const runImport = () => {
+        const file = elements.importFile?.files[0];
+        if (!file) {
+            showMessage('Choose a score file to import', 'error');
+            return;
+        }
+
+        const mode = elements.importMode?.value || 'merge';
+        if (mode === 'replace' && !confirm('Replace all current scores with this file?')) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const report = Leaderboard.importScores(reader.result, { mode });
+            renderImportReport(report);
+            updateLeaderboard();
+            showMessage(report.success ?
+                `Imported ${report.accepted.length} of ${report.total} scores` :
+                `Import failed: ${report.error}`, report.success ? 'success' : 'error');
+        };
+        reader.onerror = () => showMessage('Could not read the file', 'error');
+        reader.readAsText(file);
+    };
+
+    /**
+     * Render an import report in the dialog
+     */
+    const renderImportReport = (report) => {
+        if (!elements.importReport) return;
+
+        if (report.error && report.total === 0) {
+            elements.importReport.innerHTML = `<p class="text-secondary">${escapeHtml(report.error)}</p>`;
+            return;
+        }
+
+        const label = (item) => escapeHtml(`#${item.index + 1} ${item.player || '?'}${item.id ? ` (${item.id})` : ''}`);
+        let html = `
+            <div class="import-summary">
+                <span class="text-primary">${report.accepted.length} ACCEPTED</span>
+                <span class="text-accent">${report.duplicates.length} DUPLICATE</span>
+                <span class="text-secondary">${report.rejected.length} REJECTED</span>
+                <span>${report.total} IN FILE · ${report.mode.toUpperCase()}</span>
+            </div>
+        `;
+        if (report.error) {
+            html += `<p class="text-secondary">${escapeHtml(report.error)}</p>`;
+        }
+        if (report.duplicates.length > 0) {
+            html += `<div class="import-section text-accent">Skipped, already on the board:</div>`;
+            html += report.duplicates.map(d => `<div class="import-item">${label(d)}</div>`).join('');
+        }
+        if (report.rejected.length > 0) {
+            html += `<div class="import-section text-secondary">Rejected:</div>`;
+            html += report.rejected.map(r => `
+                <div class="import-item">${label(r)}: ${r.reasons.map(escapeHtml).join('; ')}</div>
+            `).join('');
+        }
+
+        elements.importReport.innerHTML = html;
+    };
 
+    /**
+     * Render leaderboard rows
+     */
+    const renderScoreRows = (scores, emptyText, offset = 0) => {
         if (scores.length === 0) {
-            elements.leaderboardList.innerHTML = `
+            return `
                 <div class="empty-state">
                     <i class="fas fa-trophy"></i>
-                    <p>No scores yet. Be the first!</p>
+                    <p>${emptyText}</p>
                 </div>
             `;
-            return;
         }
 
+        // The active player's entries, by profile or by the name they play under
+        const profile = Profiles.getActive();
+        const best = profile ? Leaderboard.getPlayerBest(profile.name) : null;
+        const isMine = (score) => !!profile &&
+            (score.profileId === profile.id || score.player.toLowerCase() === profile.name.toLowerCase());
+
         let html = '';
         scores.forEach((score, index) => {
-            const rankClass = index === 0 ? 'top-1' : (index === 1 ? 'top-2' : (index === 2 ? 'top-3' : ''));
-            const date = new Date(score.date).toLocaleDateString();
+            const rank = score.rank || offset + index + 1;
+            const rankClass = rank === 1 ? 'top-1' : (rank === 2 ? 'top-2' : (rank === 3 ? 'top-3' : ''));
+            const ownClass = isMine(score) ? 'own-score' : '';
+            const isBest = best && best.id === score.id;
             
             html += `
-                <div class="leaderboard-row ${rankClass}">
-                    <div>#${index + 1}</div>
-                    <div>${score.player}</div>
+                <div class="leaderboard-row ${rankClass} ${ownClass} ${isBest ? 'personal-best' : ''}">
+                    <div>#${rank}</div>
+                    <div>${escapeHtml(score.player)}${isBest ? ' <i class="fas fa-star" title="Personal best"></i>' : ''}</div>
                     <div class="text-primary">${Leaderboard.formatScore(score.score)}</div>
                     <div>${score.attempts}</div>
                     <div>${Math.floor(score.time / 60)}:${(score.time % 60).toString().padStart(2, '0')}</div>
                     <div class="text-${score.difficulty === 'easy' ? 'primary' : (score.difficulty === 'medium' ? 'accent' : 'secondary')}">
                         ${score.difficulty.toUpperCase()}
+                        ${score.variant && score.variant !== 'classic' ? `<span class="variant-tag">${Rules.getVariant(score.variant).name}</span>` : ''}
                     </div>
                 </div>
             `;
         });
 
-        elements.leaderboardList.innerHTML = html;
+        return html;
     };
 
     /**
@@ -241,62 +703,17 @@ const UI = (() => {
     const updateAchievements = () => {
         if (!elements.achievementsList) return;
 
-        const stats = Game.getStats();
-        const scores = Leaderboard.getScores();
-
-        const achievements = [
-            {
-                name: 'FIRST BLOOD',
-                desc: 'Win your first game',
-                icon: 'fa-skull',
-                unlocked: stats.totalWins > 0,
-                progress: stats.totalWins > 0 ? '1/1' : '0/1'
-            },
-            {
-                name: 'CODE MASTER',
-                desc: 'Win 10 games',
-                icon: 'fa-crown',
-                unlocked: stats.totalWins >= 10,
-                progress: `${stats.totalWins}/10`
-            },
-            {
-                name: 'PERFECT BREACH',
-                desc: 'Win without any hints',
-                icon: 'fa-bolt',
-                unlocked: scores.some(s => s.hintsUsed === 0 && s.score > 900),
-                progress: 'Check history'
-            },
-            {
-                name: 'SPEED RUNNER',
-                desc: 'Win in under 30 seconds',
-                icon: 'fa-clock',
-                unlocked: scores.some(s => s.time < 30),
-                progress: 'Check history'
-            },
-            {
-                name: 'TOP 10',
-                desc: 'Reach top 10 on leaderboard',
-                icon: 'fa-trophy',
-                unlocked: Leaderboard.getRank(Game.getState().score) <= 10,
-                progress: 'Check rank'
-            },
-            {
-                name: 'HARDCORE',
-                desc: 'Win on hard difficulty',
-                icon: 'fa-dragon',
-                unlocked: scores.some(s => s.difficulty === 'hard' && s.score > 800),
-                progress: 'Check history'
-            }
-        ];
-
         let html = '';
-        achievements.forEach(a => {
+        Achievements.getAll().forEach(a => {
+            const progress = a.unlocked ?
+                `UNLOCKED ${new Date(a.unlockedAt).toLocaleDateString()}` :
+                `${a.progress}/${a.goal}`;
             html += `
                 <div class="achievement-card ${a.unlocked ? 'unlocked' : ''}">
                     <div class="achievement-icon"><i class="fas ${a.icon}"></i></div>
                     <div class="achievement-name">${a.name}</div>
                     <div class="achievement-desc">${a.desc}</div>
-                    <div class="achievement-progress">${a.progress}</div>
+                    <div class="achievement-progress">${progress}</div>
                 </div>
             `;
         });
@@ -304,14 +721,34 @@ const UI = (() => {
         elements.achievementsList.innerHTML = html;
     };
 
+    /**
+     * Pop up a newly unlocked achievement
+     */
+    const showAchievementToast = (achievement) => {
+        if (!elements.achievementToasts) return;
+
+        const toast = document.createElement('div');
+        toast.className = 'achievement-toast';
+        toast.innerHTML = `
+            <i class="fas ${achievement.icon}"></i>
+            <div>
+                <div class="achievement-toast-title">ACHIEVEMENT UNLOCKED</div>
+                <div class="achievement-name">${achievement.name}</div>
+            </div>
+        `;
+        elements.achievementToasts.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 4000);
+    };
+
     /**
      * Make a guess
      */
     const makeGuess = () => {
-        const guess = elements.guessInput?.value.trim();
+        const guess = CodeInput.getValue();
         
         if (!guess) {
-            showMessage('Enter a 4-digit code!', 'error');
+            showMessage(`Enter a ${Game.getState().codeLength}-symbol code!`, 'error');
             return;
         }
 
@@ -319,14 +756,13 @@ const UI = (() => {
         
         if (!result.success) {
             showMessage(result.message, 'error');
-            elements.guessInput?.classList.add('shake');
-            setTimeout(() => elements.guessInput?.classList.remove('shake'), 300);
+            CodeInput.shake();
         } else {
             showMessage(result.message, 'info');
+            CodeInput.clear();
         }
 
-        elements.guessInput.value = '';
-        elements.guessInput.focus();
+        CodeInput.focus();
     };
 
     /**
@@ -336,36 +772,294 @@ const UI = (() => {
         const hint = Game.useHint();
         
         if (hint.success) {
+            Sound.play('hint');
             showMessage(`Hint: Position ${hint.position} is ${hint.digit}`, 'info');
         } else {
             showMessage(hint.message, 'error');
         }
     };
 
+    /**
+     * Ask the solver for a suggestion
+     */
+    const suggestGuess = () => {
+        const result = Game.useSuggestion();
+
+        if (result.success) {
+            showMessage(`Suggestion: try ${result.guess} (${result.remaining} codes possible)`, 'warning');
+            CodeInput.setValue(result.guess);
+        } else {
+            showMessage(result.message, 'error');
+        }
+    };
+
     /**
      * Start new game
      */
     const newGame = () => {
+        // A duel leg's code is set by the other player
+        if (Match.isActive()) {
+            showMessage('Finish or quit the duel first!', 'error');
+            return;
+        }
+
+        // The next ranked game comes from the server too
+        if (Ranked.isActive()) {
+            Ranked.start();
+            return;
+        }
+
         Game.reset();
         showMessage('New game started!', 'success');
     };
 
+    /**
+     * Show resume-or-abandon dialog for a saved game
+     */
+    const showResumeModal = (saved) => {
+        let summary = `${saved.difficulty.toUpperCase()} · ${saved.codeLength} symbols · ` +
+            `attempt ${saved.attempts}/${saved.maxAttempts}`;
+        if (saved.dailyMode) summary += ' · DAILY CODE';
+        if (saved.timerMode) summary += ` · ${saved.timeLeft}s left`;
+
+        updateText('resumeSummary', summary);
+        elements.resumeModal?.classList.add('show');
+    };
+
+    /**
+     * Resume the saved game
+     */
+    const resumeGame = () => {
+        elements.resumeModal?.classList.remove('show');
+
+        if (Game.resumeSavedGame()) {
+            const state = Game.getState();
+            syncConfigButtons(state);
+            if (state.timerMode) updateTimer(state.timeLeft);
+            if (!state.gameOver) showMessage('Game resumed. Continue the breach!', 'success');
+        } else {
+            showMessage('Saved game could not be restored. New game started!', 'error');
+        }
+    };
+
+    /**
+     * Abandon the saved game
+     */
+    const abandonGame = () => {
+        elements.resumeModal?.classList.remove('show');
+        Game.abandonSavedGame();
+        showMessage('Saved game abandoned. New game started!', 'info');
+    };
+
+    /**
+     * Bring the game, theme and sound in line with the saved settings
+     * @param {Array|null} keys - settings that changed (null for all)
+     */
+    const applySettings = (keys = null) => {
+        const settings = Settings.getAll();
+        const state = Game.getState();
+        const gameChanged = !keys || keys.some(key => GAME_SETTING_KEYS.includes(key));
+
+        // Daily, remote and duel games fix their own configuration; other settings leave the game alone
+        if (gameChanged && !state.dailyMode && !state.remote && !Match.isActive()) {
+            if (state.difficulty !== settings.difficulty) Game.setDifficulty(settings.difficulty);
+
+            const timer = state.timerMode ? state.timerDuration : 0;
+            if (timer !== settings.timerDuration) {
+                Game.setTimerMode(settings.timerDuration > 0, settings.timerDuration || undefined);
+            }
+
+            const code = { length: settings.codeLength, symbols: settings.symbolSet };
+            if (state.codeLength !== code.length || state.symbolSet !== code.symbols) {
+                // The current variant may not allow the new code - switch variant first
+                if (!Game.setCodeConfig(code) && Game.setVariant(settings.variant)) Game.setCodeConfig(code);
+            }
+            if (Game.getState().variant !== settings.variant) Game.setVariant(settings.variant);
+            if (state.logicMode !== settings.logicMode) Game.setLogicMode(settings.logicMode);
+
+            syncConfigButtons(Game.getState());
+            // Keep settings to what the game actually accepted
+            rememberGameSettings();
+        }
+
+        if (Themes.getMode() !== settings.theme) Themes.setTheme(settings.theme);
+        Themes.setMotion(settings.reducedMotion);
+
+        Sound.setEnabled(settings.sound);
+        Sound.setVolume(settings.volume);
+        renderSoundButton();
+    };
+
+    /**
+     * Save the game configuration as the preferred settings
+     */
+    const rememberGameSettings = () => {
+        const state = Game.getState();
+        // Controls show what the game accepted - a rejected choice snaps back
+        syncConfigButtons(state);
+        // Remote and duel games were configured for the occasion, not by the player
+        if (state.remote || Match.isActive()) return;
+
+        const values = {
+            difficulty: state.difficulty,
+            timerDuration: state.timerMode ? state.timerDuration : 0,
+            logicMode: state.logicMode
+        };
+        // The Daily Code's code settings are fixed, not chosen
+        if (!state.dailyMode) {
+            Object.assign(values, { codeLength: state.codeLength, symbolSet: state.symbolSet, variant: state.variant });
+        }
+
+        Settings.update(values);
+    };
+
+    /**
+     * Open the settings panel
+     */
+    const openSettings = () => {
+        renderSettings();
+        elements.settingsModal?.classList.add('show');
+    };
+
+    /**
+     * Close the settings panel
+     */
+    const closeSettings = () => {
+        elements.settingsModal?.classList.remove('show');
+    };
+
+    /**
+     * Fill the settings panel from the saved settings
+     */
+    const renderSettings = () => {
+        const settings = Settings.getAll();
+
+        const themeSelect = elements.settingsModal?.querySelector('[data-setting="theme"]');
+        if (themeSelect) {
+            themeSelect.innerHTML = Themes.getThemes()
+                .map(theme => `<option value="${theme}">${escapeHtml(Themes.getThemeName(theme))}</option>`).join('');
+        }
+
+        elements.settingsModal?.querySelectorAll('[data-setting]').forEach(field => {
+            const value = settings[field.dataset.setting];
+            if (field.type === 'checkbox') {
+                field.checked = value;
+            } else {
+                field.value = value;
+            }
+        });
+    };
+
+    /**
+     * Save a field changed in the settings panel
+     */
+    const changeSetting = (field) => {
+        const key = field.dataset.setting;
+        let value = field.type === 'checkbox' ? field.checked : field.value;
+        if (field.dataset.type === 'number') value = Number(value);
+        if (key === 'playerName') value = value.trim().toUpperCase();
+
+        if (!Settings.set(key, value)) {
+            showMessage('That setting is not allowed', 'error');
+            renderSettings();
+        }
+    };
+
+    /**
+     * Put every setting back to its default
+     */
+    const resetSettings = () => {
+        if (!confirm('Reset all settings to their defaults?')) return;
+        Settings.reset();
+        showMessage('Settings reset', 'info');
+    };
+
+    /**
+     * Load settings from the chosen JSON file
+     */
+    const importSettings = () => {
+        const file = elements.settingsFile?.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            const report = Settings.importSettings(reader.result);
+            if (!report.success) {
+                showMessage(`Import failed: ${report.error}`, 'error');
+            } else if (report.rejected.length > 0) {
+                showMessage(`Settings imported - ignored: ${report.rejected.join(', ')}`, 'warning');
+            } else {
+                showMessage('Settings imported', 'success');
+            }
+            elements.settingsFile.value = '';
+        };
+        reader.onerror = () => showMessage('Could not read the file', 'error');
+        reader.readAsText(file);
+    };
+
+    /**
+     * Mark the configuration buttons matching the game settings as active
+     */
+    const syncConfigButtons = (state) => {
+        const groups = {
+            '.difficulty-btn': btn => btn.dataset.difficulty === state.difficulty,
+            '.timer-btn': btn => Number(btn.dataset.timer) === (state.timerMode ? state.timerDuration : 0),
+            '.mode-btn': btn => btn.dataset.mode === (state.dailyMode ? 'daily' : 'free'),
+            '.logic-btn': btn => btn.dataset.logic === state.logicMode
+        };
+
+        Object.entries(groups).forEach(([selector, isActive]) => {
+            document.querySelectorAll(selector).forEach(btn => {
+                btn.classList.toggle('active', isActive(btn));
+            });
+        });
+
+        if (elements.codeLengthSelect) elements.codeLengthSelect.value = state.codeLength;
+        if (elements.symbolSetSelect) elements.symbolSetSelect.value = state.symbolSet;
+        if (elements.variantSelect) elements.variantSelect.value = state.variant;
+    };
+
     /**
      * Save score to leaderboard
      */
     const saveScore = () => {
         const state = Game.getState();
         
-        if (!state.gameOver || !state.secret) {
+        if (!state.gameOver || !state.secret || (state.remote && !Ranked.getWonGameId()) || Match.isActive()) {
             showMessage('Complete a game first!', 'error');
             return;
         }
 
-        // Show modal
-        const modal = document.getElementById('scoreModal');
-        if (modal) {
-            modal.classList.add('show');
-        }
+        openScoreModal();
+    };
+
+    /**
+     * Show the save dialog with the name filled in and where the run would place
+     */
+    const openScoreModal = () => {
+        const state = Game.getState();
+        const nameInput = document.getElementById('playerName');
+        const profile = Profiles.getActive();
+        if (nameInput && !nameInput.value) nameInput.value = profile ? profile.name : Settings.get('playerName');
+
+        // Same result fields the saved entry will have
+        const result = {
+            score: state.score,
+            attempts: state.attempts,
+            time: state.timerMode ? state.timerDuration - state.timeLeft : 0
+        };
+        const scope = state.dailyMode ?
+            { dailyDate: state.dailyDate } :
+            { difficulty: state.difficulty, variant: state.variant };
+        const { rank, total } = Leaderboard.getProspectiveRank(result, scope);
+
+        const board = state.dailyMode ?
+            `DAILY CODE ${state.dailyDate}` :
+            [state.difficulty.toUpperCase(), state.variant !== 'classic' ? Rules.getVariant(state.variant).name : null]
+                .filter(Boolean).join(' · ');
+        updateText('prospectiveRank', `This run would place #${rank} of ${total} on ${board}`);
+
+        document.getElementById('scoreModal')?.classList.add('show');
     };
 
     /**
@@ -389,21 +1083,50 @@ const UI = (() => {
             return;
         }
 
+        // Ranked games are scored by the server from its own log
+        const rankedGameId = Ranked.getWonGameId();
+        if (rankedGameId) {
+            const name = playerName.toUpperCase().substring(0, 20);
+            Settings.set('playerName', name);
+            closeModal();
+            showMessage('Submitting ranked score...', 'info');
+            Leaderboard.submitRanked(rankedGameId, name, Profiles.getActive()?.id || null).then(ok => {
+                showMessage(ok ? 'Ranked score submitted!' : 'Server unreachable - the score will be sent when it is back',
+                    ok ? 'success' : 'error');
+                updateLeaderboard();
+                Replay.refreshList();
+            });
+            switchTab('leaderboard');
+            return;
+        }
+
         const state = Game.getState();
         
         const scoreData = {
-            score: Game.calculateScore(state.attempts, 4),
+            score: state.score,
             attempts: state.attempts,
             time: state.timerMode ? (state.timerDuration - state.timeLeft) : 0,
             difficulty: state.difficulty,
             hintsUsed: state.hintsUsed,
+            inconsistentGuesses: state.inconsistentGuesses,
+            logicMode: state.logicMode,
+            replay: Game.getReplay(),
+            dailyDate: state.dailyDate,
+            seed: state.seed,
+            profileId: Profiles.getActive()?.id,
             won: true
         };
 
-        Leaderboard.addScore(playerName, scoreData);
+        if (!Leaderboard.addScore(playerName, scoreData)) {
+            showMessage('Score rejected: game log failed verification!', 'error');
+            closeModal();
+            return;
+        }
+        Settings.set('playerName', playerName.toUpperCase().substring(0, 20));
         
         closeModal();
         updateLeaderboard();
+        Replay.refreshList();
         showMessage('Score saved!', 'success');
         
         // Switch to leaderboard tab
@@ -417,6 +1140,8 @@ const UI = (() => {
         if (elements.messageText) {
             elements.messageText.textContent = text;
         }
+        // Errors interrupt; guess results and other messages wait their turn
+        A11y.announce(text, type === 'error' ? 'assertive' : 'polite');
         
         if (elements.messagePanel) {
             const colors = {
@@ -433,16 +1158,12 @@ const UI = (() => {
      * Switch tabs
      */
     const switchTab = (tabName) => {
-        // Update tab buttons
+        // Update tab buttons - only the selected tab is in the Tab order
         document.querySelectorAll('.tab-btn').forEach(btn => {
-            btn.classList.remove('active');
-        });
-        
-        // Find and activate clicked button
-        document.querySelectorAll('.tab-btn').forEach(btn => {
-            if (btn.textContent.toLowerCase().includes(tabName)) {
-                btn.classList.add('active');
-            }
+            const selected = btn.dataset.tab === tabName;
+            btn.classList.toggle('active', selected);
+            btn.setAttribute('aria-selected', selected);
+            btn.tabIndex = selected ? 0 : -1;
         });
 
         // Update tab content
@@ -456,7 +1177,9 @@ const UI = (() => {
         }
 
         // Refresh content if needed
-        if (tabName === 'leaderboard') {
+        if (tabName === 'history') {
+            Replay.refreshList();
+        } else if (tabName === 'leaderboard') {
             updateLeaderboard();
         } else if (tabName === 'achievements') {
             updateAchievements();
@@ -469,10 +1192,16 @@ const UI = (() => {
      * Toggle sound
      */
     const toggleSound = () => {
-        soundEnabled = !soundEnabled;
-        
+        Settings.set('sound', !Sound.isEnabled());
+        Sound.play('key');
+    };
+
+    /**
+     * Show whether sound is on
+     */
+    const renderSoundButton = () => {
         if (elements.soundBtn) {
-            elements.soundBtn.innerHTML = soundEnabled ? 
+            elements.soundBtn.innerHTML = Sound.isEnabled() ? 
                 '<i class="fas fa-volume-up"></i> SOUND' : 
                 '<i class="fas fa-volume-mute"></i> SOUND';
         }
@@ -482,17 +1211,31 @@ const UI = (() => {
      * Handle game end events
      */
     const handleGameEnd = (result, data) => {
+        Sound.play(result === 'win' ? 'win' : 'lose');
+
+        // Duel legs are scored by the match controller, not saved to the leaderboard
+        if (Match.isActive()) {
+            if (result === 'win') triggerConfetti();
+            Match.handleGameEnd(result, data);
+            return;
+        }
+
+        recordGame(result);
+
+        // Race results are decided by the server
+        if (Race.isActive()) {
+            if (result === 'win') triggerConfetti();
+            Race.handleGameEnd(result, data);
+            return;
+        }
+        if (Ranked.isActive()) Ranked.handleGameEnd(result);
+
         if (result === 'win') {
             showMessage('🎉 VICTORY! You breached the system! 🎉', 'success');
             triggerConfetti();
             
             // Auto-show save modal after win
-            setTimeout(() => {
-                const modal = document.getElementById('scoreModal');
-                if (modal) {
-                    modal.classList.add('show');
-                }
-            }, 1500);
+            setTimeout(openScoreModal, 1500);
             
         } else if (result === 'lose') {
             showMessage(`💀 SYSTEM LOCKED! Code was ${data.secret}`, 'error');
@@ -505,6 +1248,8 @@ const UI = (() => {
      * Trigger confetti effect
      */
     const triggerConfetti = () => {
+        if (Themes.isReducedMotion()) return;
+
         for (let i = 0; i < 100; i++) {
             setTimeout(() => {
                 const confetti = document.createElement('div');
@@ -532,14 +1277,30 @@ const UI = (() => {
         init,
         makeGuess,
         useHint,
+        suggestGuess,
         newGame,
         saveScore,
         saveScoreWithName,
+        resumeGame,
+        abandonGame,
+        connectLeaderboard,
+        shareResult,
+        openStats,
+        closeStats,
+        openImport,
+        closeImport,
+        runImport,
+        openSettings,
+        closeSettings,
+        changeSetting,
+        resetSettings,
         closeModal,
         switchTab,
         toggleSound,
         showMessage,
         updateLeaderboard,
+        filterLeaderboard,
+        changeLeaderboardPage,
         updateAchievements
     };
 })();
@@ -0,0 +1,215 @@
+/**
+ * VERIFIER MODULE - Recompute Results from Game Logs
+ * Version: 2.0.0
+ *
+ * A score is only as good as its event log: the secret revealed at the end
+ * must match the commitment published at the start, every piece of feedback
+ * and every hint must follow from that secret under the game's rule variant,
+ * and the score is recomputed with the shared Rules formula. Seeded games
+ * (Daily Code) are checked further by regenerating the secret from the seed.
+ */
+
+const Verifier = ((Rules) => {
+    'use strict';
+
+    // Allowed drift between the claimed time left and the event timestamps
+    const TIME_TOLERANCE = 2;
+
+    /**
+     * Verify a recorded game
+     * @param {Object} replay - { startedAt, events } from Game.getReplay()
+     * @returns {Object} { valid, errors, result }
+     */
+    const verifyReplay = (replay) => {
+        const errors = [];
+        const fail = (message) => {
+            errors.push(message);
+            return { valid: false, errors, result: null };
+        };
+
+        if (!replay || !Array.isArray(replay.events)) return fail('Missing game log');
+
+        const events = replay.events;
+        if (!events.every(e => e !== null && typeof e === 'object')) return fail('Log has an event that is not an object');
+        const start = events[0];
+        const end = events[events.length - 1];
+
+        if (!start || start.type !== 'start' || !start.settings) return fail('Log has no start event');
+        if (!end || end.type !== 'end') return fail('Log has no end event');
+        if (end.result !== 'win') return fail('Game was not won');
+
+        const settings = start.settings;
+        const preset = Rules.DIFFICULTY_SETTINGS[settings.difficulty];
+        if (!preset) return fail('Unknown difficulty');
+        if (settings.maxAttempts !== preset.attempts || settings.maxHints !== preset.hints) {
+            return fail('Difficulty settings do not match the preset');
+        }
+
+        const variant = Rules.getVariant(settings.variant);
+        if (settings.variant !== undefined && variant.id !== settings.variant) return fail('Unknown rule variant');
+
+        const secret = end.secret;
+        if (!variant.validateCode(secret, settings.codeLength, settings.symbolSet)) {
+            return fail('Revealed secret does not fit the code settings');
+        }
+
+        // Commitment
+        if (!start.commitment || Rules.commitSecret(secret, end.nonce) !== start.commitment) {
+            return fail('Revealed secret does not match the commitment');
+        }
+
+        // Daily Code results must come from a real daily seed
+        if (settings.dailyMode &&
+            (settings.injectedSecret || !/^daily-\d{4}-\d{2}-\d{2}$/.test(settings.seed || ''))) {
+            return fail('Daily Code game without a daily seed');
+        }
+
+        // Seeded secrets can be regenerated
+        if (settings.seed !== null && settings.seed !== undefined && !settings.injectedSecret) {
+            const expected = variant.generateSecret(
+                Rules.createRng(settings.seed), settings.codeLength, settings.symbolSet
+            );
+            if (expected !== secret) return fail('Secret does not match its seed');
+        }
+
+        const hintRng = settings.seed !== null && settings.seed !== undefined ?
+            Rules.createRng(`${settings.seed}:hints`) : null;
+
+        let attempts = 0;
+        let hintsUsed = 0;
+        let suggestionsUsed = 0;
+        let inconsistentGuesses = 0;
+        const history = [];
+        let lastTime = 0;
+        let solved = false;
+
+        for (let i = 1; i < events.length - 1; i++) {
+            const e = events[i];
+
+            if (typeof e.t !== 'number' || e.t < lastTime) return fail('Event timestamps out of order');
+            lastTime = e.t;
+            if (solved) return fail('Events after the code was cracked');
+
+            if (e.type === 'guess') {
+                attempts++;
+                if (!variant.validateCode(e.sequence, settings.codeLength, settings.symbolSet)) {
+                    return fail(`Guess ${attempts} is not a valid code`);
+                }
+                const feedback = variant.scoreGuess(secret, e.sequence);
+                if (feedback.exact !== e.exact || feedback.partial !== e.partial ||
+                    variant.feedbackKey(feedback) !== variant.feedbackKey(e)) {
+                    return fail(`Guess ${attempts} feedback does not match the secret`);
+                }
+
+                // Would this guess have been possible given the earlier feedback?
+                const consistent = history.every(g => {
+                    const f = variant.scoreGuess(e.sequence, g.sequence);
+                    return variant.feedbackKey(f) === variant.feedbackKey(g);
+                });
+                if (!consistent) {
+                    if (settings.logicMode === 'strict') {
+                        return fail(`Guess ${attempts} breaks strict logic mode`);
+                    }
+                    inconsistentGuesses++;
+                }
+                history.push(e);
+
+                if (feedback.exact === settings.codeLength) solved = true;
+            } else if (e.type === 'hint') {
+                hintsUsed++;
+                if (!Number.isInteger(e.position) || e.position < 1 || e.position > settings.codeLength) {
+                    return fail(`Hint ${hintsUsed} has no valid position`);
+                }
+                if (secret[e.position - 1] !== e.digit) return fail(`Hint ${hintsUsed} does not match the secret`);
+                if (hintRng && Math.floor(hintRng() * settings.codeLength) + 1 !== e.position) {
+                    return fail(`Hint ${hintsUsed} position does not match its seed`);
+                }
+            } else if (e.type === 'suggest') {
+                suggestionsUsed++;
+                // Server-logged suggestions carry no details; logged ones must be a code and a count
+                if (e.guess !== undefined && !variant.validateCode(e.guess, settings.codeLength, settings.symbolSet)) {
+                    return fail(`Suggestion ${suggestionsUsed} is not a valid code`);
+                }
+                if (e.remaining !== undefined && !(Number.isInteger(e.remaining) && e.remaining >= 0)) {
+                    return fail(`Suggestion ${suggestionsUsed} has an invalid count`);
+                }
+            } else {
+                return fail(`Unexpected event: ${e.type}`);
+            }
+        }
+
+        if (!solved) return fail('Log never cracks the code');
+        if (attempts !== end.attempts) return fail('Attempt count does not match the log');
+        if (attempts > settings.maxAttempts) return fail('Too many attempts');
+        if (hintsUsed > settings.maxHints) return fail('Too many hints');
+
+        // Time bonus can't exceed what the timestamps allow
+        let timeLeft = 0;
+        if (settings.timerMode) {
+            timeLeft = end.timeLeft || 0;
+            const maxLeft = settings.timerDuration - Math.floor(end.t / 1000) + TIME_TOLERANCE;
+            if (timeLeft > maxLeft || timeLeft > settings.timerDuration) {
+                return fail('Time left does not match the timestamps');
+            }
+        }
+
+        const score = Rules.computeScore({ attempts, hintsUsed, suggestionsUsed, timeLeft });
+        if (score !== end.score) return fail('Score does not match the log');
+
+        return {
+            valid: true,
+            errors,
+            result: {
+                score,
+                attempts,
+                hintsUsed,
+                suggestionsUsed,
+                inconsistentGuesses,
+                logicMode: settings.logicMode || 'off',
+                time: settings.timerMode ? settings.timerDuration - timeLeft : 0,
+                difficulty: settings.difficulty,
+                variant: variant.id,
+                seed: settings.seed,
+                dailyMode: !!settings.dailyMode
+            }
+        };
+    };
+
+    /**
+     * Verify a leaderboard entry against its own log
+     * @returns {Object} { valid, errors, result }
+     */
+    const verifyEntry = (entry) => {
+        if (!entry || typeof entry !== 'object') {
+            return { valid: false, errors: ['Not an entry'], result: null };
+        }
+
+        const check = verifyReplay(entry.replay);
+        if (!check.valid) return check;
+
+        const { result } = check;
+        const mismatch = (field) => ({ valid: false, errors: [`Entry ${field} does not match the log`], result: null });
+
+        if (entry.score !== result.score) return mismatch('score');
+        if (entry.attempts !== result.attempts) return mismatch('attempts');
+        if (entry.difficulty !== result.difficulty) return mismatch('difficulty');
+        if ((entry.variant || 'classic') !== result.variant) return mismatch('variant');
+        if (entry.dailyDate && result.seed !== `daily-${entry.dailyDate}`) return mismatch('daily date');
+
+        return check;
+    };
+
+    // Public API
+    return {
+        verifyReplay,
+        verifyEntry
+    };
+})(typeof Rules !== 'undefined' ? Rules : require('./rules.js'));
+
+// Freeze object
+Object.freeze(Verifier);
+
+// Node (leaderboard server) support
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Verifier;
+}
\ No newline at end of file
@@ -0,0 +1,524 @@
+/**
+ * LEADERBOARD SERVER - Shared scores over HTTP
+ * Version: 2.0.0
+ *
+ * Usage: node server/leaderboard-server.js [port] [file]
+ *        (default 8788, scores in server/data/leaderboard.json)
+ * Deletes need LEADERBOARD_ADMIN_TOKEN to be set and sent as `Authorization: Bearer <token>`;
+ * without it they are refused (the API is open to every origin).
+ *
+ * Ranked games are played against the server: it draws the secret, commits
+ * to it, scores every guess and keeps the game log. A score can only be
+ * submitted for a game the server saw won, so logs written in the browser
+ * are never trusted.
+ *
+ * POST   /games    { difficulty, codeLength, symbolSet, variant, logicMode, timerMode, timerDuration }
+ *                                             -> 201 { id, commitment, settings }
+ * POST   /games/:id/guesses  { sequence }    -> { sequence, exact, partial, marks?, attempt }
+ *                                                plus { result, secret, nonce } once the game ends
+ * POST   /games/:id/suggestions              -> { suggestionsUsed }
+ * GET    /scores?difficulty=&page=&pageSize=  -> { scores, total, page, pageSize }
+ * POST   /scores   { gameId, player, profileId }
+ *                                             -> 201 { score } | 200 if already submitted
+ *                                                | 422 if the game was not won or its log fails the checks
+ * DELETE /scores/:id                          -> 204 | 404 | 401 | 403
+ */
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Rules = require('../js/rules.js');
+const Verifier = require('../js/verifier.js');
+
+const DEFAULT_PORT = 8788;
+const HOST = '127.0.0.1';
+const DEFAULT_FILE = path.join(__dirname, 'data', 'leaderboard.json');
+const MAX_BODY = 512 * 1024;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+// Ranked games in progress are kept in memory
+const GAME_TTL = 2 * 60 * 60 * 1000;
+const MAX_GAMES = 1000;
+const MIN_CODE_LENGTH = 3;
+const MAX_CODE_LENGTH = 8;
+const TIMER_DURATIONS = [60, 120];
+const LOGIC_MODES = ['off', 'warn', 'strict'];
+const RNG_RANGE = 2 ** 32;
+
+/**
+ * JSON file store - the whole list is rewritten on every change
+ */
+const createFileStore = (file) => {
+    let scores = [];
+
+    try {
+        scores = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    const persist = () => {
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        // Write then rename so a crash never leaves half a file
+        const temp = `${file}.tmp`;
+        fs.writeFileSync(temp, JSON.stringify(scores));
+        fs.renameSync(temp, file);
+    };
+
+    return {
+        list: () => scores,
+        get: (id) => scores.find(s => s.id === id) || null,
+        add: (entry) => {
+            scores.push(entry);
+            scores.sort((a, b) => b.score - a.score);
+            persist();
+        },
+        remove: (id) => {
+            const before = scores.length;
+            scores = scores.filter(s => s.id !== id);
+            if (scores.length === before) return false;
+            persist();
+            return true;
+        }
+    };
+};
+
+/**
+ * Check that a key is an object's own (not inherited)
+ */
+const hasOwn = (object, key) => typeof key === 'string' && Object.prototype.hasOwnProperty.call(object, key);
+
+/**
+ * Check the settings a ranked game is started with
+ * @returns {Object|null} the start event settings, or null if they are invalid
+ */
+const parseGameSettings = (body) => {
+    // Own keys only - names like 'constructor' must not reach the prototype
+    const preset = hasOwn(Rules.DIFFICULTY_SETTINGS, body.difficulty) ? Rules.DIFFICULTY_SETTINGS[body.difficulty] : null;
+    const codeLength = body.codeLength;
+    const symbolSet = body.symbolSet;
+    const variant = Rules.getVariant(body.variant).id;
+    const timerMode = body.timerMode === true;
+
+    if (!preset || !hasOwn(Rules.SYMBOL_SETS, symbolSet)) return null;
+    if (!Number.isInteger(codeLength) || codeLength < MIN_CODE_LENGTH || codeLength > MAX_CODE_LENGTH) return null;
+    if (body.variant !== undefined && body.variant !== variant) return null;
+    if (!Rules.getVariant(variant).supports(codeLength, symbolSet)) return null;
+    if (timerMode && !TIMER_DURATIONS.includes(body.timerDuration)) return null;
+    if (body.logicMode !== undefined && !LOGIC_MODES.includes(body.logicMode)) return null;
+
+    // Same shape as the start event Game logs, so the Verifier reads both
+    return {
+        difficulty: body.difficulty,
+        maxAttempts: preset.attempts,
+        maxHints: preset.hints,
+        timerMode,
+        timerDuration: timerMode ? body.timerDuration : 0,
+        codeLength,
+        symbolSet,
+        variant,
+        logicMode: body.logicMode || 'off',
+        seed: null,
+        dailyMode: false,
+        injectedSecret: false
+    };
+};
+
+/**
+ * In-memory ranked games: the secret never leaves the server before the game ends
+ */
+const createGameStore = () => {
+    const games = new Map();
+
+    /**
+     * Drop games nobody touched for a while
+     */
+    const prune = () => {
+        const cutoff = Date.now() - GAME_TTL;
+        games.forEach((game, id) => {
+            if (game.lastActive < cutoff) games.delete(id);
+        });
+    };
+
+    /**
+     * Record an event (t = ms since the game started)
+     */
+    const logEvent = (game, type, data = {}) => {
+        game.events.push({ type, t: Date.now() - game.startedAt, ...data });
+        game.lastActive = Date.now();
+    };
+
+    /**
+     * Seconds left on the clock (0 for untimed games)
+     */
+    const getTimeLeft = (game) => {
+        if (!game.settings.timerMode) return 0;
+        return Math.max(game.settings.timerDuration - Math.floor((Date.now() - game.startedAt) / 1000), 0);
+    };
+
+    /**
+     * Start a game
+     * @returns {Object|null} the game, or null when the server is full
+     */
+    const create = (settings) => {
+        prune();
+        if (games.size >= MAX_GAMES) return null;
+
+        const rng = () => crypto.randomInt(RNG_RANGE) / RNG_RANGE;
+        const secret = Rules.getVariant(settings.variant).generateSecret(rng, settings.codeLength, settings.symbolSet);
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const game = {
+            id: crypto.randomUUID(),
+            settings,
+            secret,
+            nonce,
+            commitment: Rules.commitSecret(secret, nonce),
+            startedAt: Date.now(),
+            lastActive: Date.now(),
+            events: [],
+            history: [],
+            suggestionsUsed: 0,
+            inconsistentGuesses: 0,
+            result: null,
+            score: 0,
+            submitted: null
+        };
+        logEvent(game, 'start', { commitment: game.commitment, settings });
+
+        games.set(game.id, game);
+        return game;
+    };
+
+    /**
+     * Score a guess
+     * @returns {Object} { status, body } for the response
+     */
+    const guess = (game, sequence) => {
+        const { settings } = game;
+        const variant = Rules.getVariant(settings.variant);
+
+        if (game.result) return { status: 409, body: { error: 'Game is over' } };
+        if (typeof sequence !== 'string' || !variant.validateCode(sequence, settings.codeLength, settings.symbolSet)) {
+            return { status: 400, body: { error: 'Not a valid code' } };
+        }
+
+        // Out of time - the game ends without scoring the guess
+        if (settings.timerMode && getTimeLeft(game) === 0) {
+            game.result = 'timeout';
+            logEvent(game, 'end', { result: 'timeout', secret: game.secret, nonce: game.nonce, attempts: game.history.length });
+            return { status: 409, body: { error: 'Time is up', result: 'timeout', secret: game.secret, nonce: game.nonce } };
+        }
+
+        // Would this guess have been possible given the earlier feedback?
+        const consistent = game.history.every(g =>
+            variant.feedbackKey(variant.scoreGuess(sequence, g.sequence)) === variant.feedbackKey(g)
+        );
+        if (!consistent && settings.logicMode === 'strict') {
+            return { status: 422, body: { error: 'Guess contradicts earlier feedback' } };
+        }
+        if (!consistent) game.inconsistentGuesses++;
+
+        const { exact, partial, marks } = variant.scoreGuess(game.secret, sequence);
+        const entry = { sequence, exact, partial, ...(marks ? { marks } : {}) };
+        game.history.push(entry);
+        logEvent(game, 'guess', { ...entry, inconsistent: !consistent });
+
+        const attempts = game.history.length;
+        const reply = { ...entry, attempt: attempts };
+
+        if (exact === settings.codeLength) {
+            const timeLeft = getTimeLeft(game);
+            game.result = 'win';
+            game.score = Rules.computeScore({ attempts, hintsUsed: 0, suggestionsUsed: game.suggestionsUsed, timeLeft });
+            logEvent(game, 'end', {
+                result: 'win', secret: game.secret, nonce: game.nonce, attempts, timeLeft, score: game.score
+            });
+            Object.assign(reply, { result: 'win', secret: game.secret, nonce: game.nonce, score: game.score });
+        } else if (attempts >= settings.maxAttempts) {
+            game.result = 'lose';
+            logEvent(game, 'end', { result: 'lose', secret: game.secret, nonce: game.nonce, attempts });
+            Object.assign(reply, { result: 'lose', secret: game.secret, nonce: game.nonce });
+        }
+
+        return { status: 200, body: reply };
+    };
+
+    /**
+     * Record a solver suggestion (they cost score)
+     */
+    const suggest = (game) => {
+        if (game.result) return { status: 409, body: { error: 'Game is over' } };
+
+        game.suggestionsUsed++;
+        logEvent(game, 'suggest');
+        return { status: 200, body: { suggestionsUsed: game.suggestionsUsed } };
+    };
+
+    return {
+        get: (id) => games.get(id) || null,
+        create,
+        guess,
+        suggest
+    };
+};
+
+/**
+ * Send a JSON response
+ */
+const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+/**
+ * Answer a failed request: errors carrying a status are the client's (bad body, too large),
+ * anything else is a fault on our side and is logged rather than shown
+ */
+const sendError = (res, error) => {
+    if (error.status) {
+        sendJson(res, error.status, { error: error.message });
+        return;
+    }
+    console.error('Request failed:', error);
+    sendJson(res, 500, { error: 'Internal server error' });
+};
+
+/**
+ * Read a JSON request body (null when there is none)
+ */
+const readBody = (req) => new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > MAX_BODY) {
+            reject(Object.assign(new Error('Body too large'), { status: 413 }));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => {
+        const text = Buffer.concat(chunks).toString('utf8');
+        try {
+            resolve(text.trim() ? JSON.parse(text) : null);
+        } catch (error) {
+            reject(Object.assign(new Error('Invalid JSON'), { status: 400 }));
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Create the leaderboard server
+ * @param {Object} options - { file, adminToken }
+ * @returns {http.Server}
+ */
+const createLeaderboardServer = (options = {}) => {
+    const store = createFileStore(options.file || DEFAULT_FILE);
+    const games = createGameStore();
+    const adminToken = options.adminToken || null;
+
+    /**
+     * GET /scores
+     */
+    const listScores = (res, query) => {
+        const difficulty = query.get('difficulty');
+        if (difficulty && difficulty !== 'all' && !DIFFICULTIES.includes(difficulty)) {
+            sendJson(res, 400, { error: 'Unknown difficulty' });
+            return;
+        }
+
+        const page = Math.max(parseInt(query.get('page'), 10) || 1, 1);
+        const pageSize = Math.min(Math.max(parseInt(query.get('pageSize'), 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+        const filtered = difficulty && difficulty !== 'all' ?
+            store.list().filter(s => s.difficulty === difficulty) :
+            store.list();
+
+        sendJson(res, 200, {
+            scores: filtered.slice((page - 1) * pageSize, page * pageSize),
+            total: filtered.length,
+            page,
+            pageSize
+        });
+    };
+
+    /**
+     * POST /games
+     */
+    const startGame = (res, body) => {
+        const settings = body && typeof body === 'object' ? parseGameSettings(body) : null;
+        if (!settings) {
+            sendJson(res, 400, { error: 'Invalid game settings' });
+            return;
+        }
+
+        const game = games.create(settings);
+        if (!game) {
+            sendJson(res, 503, { error: 'Too many games in progress' });
+            return;
+        }
+        sendJson(res, 201, { id: game.id, commitment: game.commitment, settings });
+    };
+
+    /**
+     * POST /games/:id/guesses and /games/:id/suggestions
+     */
+    const playGame = (res, id, action, body) => {
+        const game = games.get(id);
+        if (!game) {
+            sendJson(res, 404, { error: 'Game not found' });
+            return;
+        }
+
+        const { status, body: reply } = action === 'guesses' ?
+            games.guess(game, body && body.sequence) :
+            games.suggest(game);
+        sendJson(res, status, reply);
+    };
+
+    /**
+     * POST /scores - the entry is built from the server's own log of the game
+     */
+    const submitScore = (res, body) => {
+        if (!body || typeof body !== 'object' || typeof body.gameId !== 'string' || !body.gameId) {
+            sendJson(res, 400, { error: 'Submission needs a gameId' });
+            return;
+        }
+
+        // Already stored - submissions are retried from offline queues
+        const existing = store.get(body.gameId);
+        if (existing) {
+            sendJson(res, 200, { score: existing });
+            return;
+        }
+
+        const game = games.get(body.gameId);
+        if (!game) {
+            sendJson(res, 404, { error: 'Game not found' });
+            return;
+        }
+        if (game.result !== 'win') {
+            sendJson(res, 422, { error: 'Game was not won' });
+            return;
+        }
+
+        const { settings } = game;
+        const entry = {
+            id: game.id,
+            player: String(body.player || 'PLAYER').toUpperCase().substring(0, 20),
+            profileId: typeof body.profileId === 'string' ? body.profileId : null,
+            score: game.score,
+            attempts: game.history.length,
+            time: settings.timerMode ? settings.timerDuration - game.events[game.events.length - 1].timeLeft : 0,
+            difficulty: settings.difficulty,
+            variant: settings.variant,
+            hintsUsed: 0,
+            inconsistentGuesses: game.inconsistentGuesses,
+            logicMode: settings.logicMode,
+            replay: { startedAt: game.startedAt, events: game.events },
+            verified: true,
+            date: new Date().toISOString(),
+            timestamp: Date.now()
+        };
+
+        // The log is the server's own, but it still has to pass the checks clients run on it.
+        // A failed check is final for this game, so it is not answered as a retryable 5xx
+        const check = Verifier.verifyEntry(entry);
+        if (!check.valid) {
+            sendJson(res, 422, { error: check.errors.join('; ') });
+            return;
+        }
+
+        store.add(entry);
+        sendJson(res, 201, { score: entry });
+    };
+
+    /**
+     * DELETE /scores/:id
+     */
+    const deleteScore = (req, res, id) => {
+        if (!adminToken) {
+            sendJson(res, 403, { error: 'Deletes are disabled - no admin token is configured' });
+            return;
+        }
+        if (req.headers.authorization !== `Bearer ${adminToken}`) {
+            sendJson(res, 401, { error: 'Admin token required' });
+            return;
+        }
+
+        if (!store.remove(id)) {
+            sendJson(res, 404, { error: 'Score not found' });
+            return;
+        }
+        sendJson(res, 204);
+    };
+
+    return http.createServer((req, res) => {
+        // The game is usually served from another origin
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+        if (req.method === 'OPTIONS') {
+            sendJson(res, 204);
+            return;
+        }
+
+        const url = new URL(req.url, 'http://localhost');
+        const gameMatch = url.pathname.match(/^\/games(?:\/([\w-]+)\/(guesses|suggestions))?\/?$/);
+        if (gameMatch) {
+            if (req.method !== 'POST') {
+                sendJson(res, 405, { error: 'Method not allowed' });
+                return;
+            }
+            readBody(req)
+                .then(body => (gameMatch[1] ? playGame(res, gameMatch[1], gameMatch[2], body) : startGame(res, body)))
+                .catch(error => sendError(res, error));
+            return;
+        }
+
+        const match = url.pathname.match(/^\/scores(?:\/([^/]+))?\/?$/);
+        if (!match) {
+            sendJson(res, 404, { error: 'Not found' });
+            return;
+        }
+
+        let id = null;
+        try {
+            id = match[1] ? decodeURIComponent(match[1]) : null;
+        } catch (error) {
+            sendJson(res, 400, { error: 'Malformed score id' });
+            return;
+        }
+
+        if (req.method === 'GET' && !id) {
+            listScores(res, url.searchParams);
+        } else if (req.method === 'POST' && !id) {
+            readBody(req)
+                .then(body => submitScore(res, body))
+                .catch(error => sendError(res, error));
+        } else if (req.method === 'DELETE' && id) {
+            deleteScore(req, res, id);
+        } else {
+            sendJson(res, 405, { error: 'Method not allowed' });
+        }
+    });
+};
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    const file = process.argv[3] || DEFAULT_FILE;
+    createLeaderboardServer({ file, adminToken: process.env.LEADERBOARD_ADMIN_TOKEN }).listen(port, HOST, () => {
+        console.log(`🏆 Leaderboard server listening on http://localhost:${port}/scores (${file})`);
+    });
+}
+
+module.exports = { createLeaderboardServer };
@@ -0,0 +1,295 @@
+/**
+ * RACE SERVER - Multiplayer rooms over WebSocket
+ * Version: 2.0.0
+ *
+ * Usage: node server/race-server.js [port]   (default 8787, localhost only)
+ * Clients connect to ws://localhost:<port>/race
+ *
+ * Client -> server:
+ *   { type: 'create', name, codeLength?, symbolSet?, variant? }
+ *   { type: 'join', room, name }
+ *   { type: 'guess', sequence }
+ *   { type: 'leave' }
+ * Server -> client:
+ *   { type: 'joined', room, playerId, codeLength, symbolSet, variant, maxAttempts }
+ *   { type: 'feedback', sequence, exact, partial, marks?, attempt }
+ *   { type: 'players', players: [{ id, name, attempts, bestExact, finished, won }] }
+ *   { type: 'finished', winner, secret }
+ *   { type: 'error', message }
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const Rules = require('../js/rules.js');
+const { acceptUpgrade } = require('./websocket.js');
+
+const DEFAULT_PORT = 8787;
+const HOST = '127.0.0.1';
+const MAX_ATTEMPTS = 15;
+const MAX_PLAYERS = 8;
+const ROOM_CODE_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ';
+const RNG_RANGE = 2 ** 32;
+
+/**
+ * Create the race server
+ * @returns {http.Server}
+ */
+const createRaceServer = () => {
+    const rooms = new Map();
+    let nextPlayerId = 1;
+
+    /**
+     * Generate an unused room code
+     */
+    const createRoomCode = () => {
+        let code;
+        do {
+            code = '';
+            for (let i = 0; i < 4; i++) {
+                code += ROOM_CODE_CHARS[crypto.randomInt(ROOM_CODE_CHARS.length)];
+            }
+        } while (rooms.has(code));
+        return code;
+    };
+
+    /**
+     * Generate a secret on the server - it never reaches clients before the race ends
+     */
+    const createSecret = (codeLength, symbolSet, variant) => {
+        const rng = () => crypto.randomInt(RNG_RANGE) / RNG_RANGE;
+        return Rules.getVariant(variant).generateSecret(rng, codeLength, symbolSet);
+    };
+
+    /**
+     * Public view of a room's players
+     */
+    const listPlayers = (room) => {
+        return [...room.players.values()].map(p => ({
+            id: p.id,
+            name: p.name,
+            attempts: p.attempts,
+            bestExact: p.bestExact,
+            finished: p.finished,
+            won: p.won
+        }));
+    };
+
+    /**
+     * Send a message to everyone in a room
+     */
+    const broadcast = (room, message) => {
+        room.players.forEach(p => p.connection.send(message));
+    };
+
+    /**
+     * Finish the race and reveal the secret
+     */
+    const finishRoom = (room, winner) => {
+        room.finished = true;
+        broadcast(room, { type: 'finished', winner: winner ? winner.name : null, secret: room.secret });
+    };
+
+    /**
+     * Add a connection to a room
+     */
+    const joinRoom = (connection, room, name) => {
+        if (room.players.size >= MAX_PLAYERS) {
+            connection.send({ type: 'error', message: 'Room is full' });
+            return null;
+        }
+
+        const player = {
+            id: nextPlayerId++,
+            name: String(name || 'PLAYER').toUpperCase().substring(0, 20),
+            connection,
+            attempts: 0,
+            bestExact: 0,
+            finished: false,
+            won: false
+        };
+        room.players.set(player.id, player);
+
+        connection.send({
+            type: 'joined',
+            room: room.code,
+            playerId: player.id,
+            codeLength: room.codeLength,
+            symbolSet: room.symbolSet,
+            variant: room.variant,
+            maxAttempts: MAX_ATTEMPTS
+        });
+        broadcast(room, { type: 'players', players: listPlayers(room) });
+
+        return player;
+    };
+
+    /**
+     * Remove a player, dropping the room once empty
+     */
+    const leaveRoom = (session) => {
+        const { room, player } = session;
+        if (!room) return;
+
+        room.players.delete(player.id);
+        session.room = null;
+        session.player = null;
+
+        if (room.players.size === 0) {
+            rooms.delete(room.code);
+            return;
+        }
+
+        broadcast(room, { type: 'players', players: listPlayers(room) });
+        if (!room.finished && [...room.players.values()].every(p => p.finished)) {
+            finishRoom(room, null);
+        }
+    };
+
+    /**
+     * Score a guess with the room's rule variant
+     */
+    const handleGuess = (session, sequence) => {
+        const { room, player } = session;
+        if (!room) return { type: 'error', message: 'Not in a room' };
+        if (room.finished) return { type: 'error', message: 'Race is over' };
+        if (player.finished) return { type: 'error', message: 'No attempts left' };
+
+        const guess = String(sequence || '').toUpperCase();
+        const variant = Rules.getVariant(room.variant);
+        if (!variant.validateCode(guess, room.codeLength, room.symbolSet)) {
+            return { type: 'error', message: 'Invalid guess' };
+        }
+
+        const { exact, partial, marks } = variant.scoreGuess(room.secret, guess);
+        player.attempts++;
+        player.bestExact = Math.max(player.bestExact, exact);
+
+        player.connection.send({ type: 'feedback', sequence: guess, exact, partial, marks, attempt: player.attempts });
+
+        if (exact === room.codeLength) {
+            player.finished = true;
+            player.won = true;
+            broadcast(room, { type: 'players', players: listPlayers(room) });
+            finishRoom(room, player);
+            return null;
+        }
+
+        if (player.attempts >= MAX_ATTEMPTS) player.finished = true;
+        broadcast(room, { type: 'players', players: listPlayers(room) });
+
+        if ([...room.players.values()].every(p => p.finished)) {
+            finishRoom(room, null);
+        }
+        return null;
+    };
+
+    /**
+     * Route one client message
+     */
+    const handleMessage = (session, message) => {
+        const { connection } = session;
+
+        switch (message.type) {
+            case 'create': {
+                leaveRoom(session);
+
+                const codeLength = parseInt(message.codeLength, 10) || 4;
+                const symbolSet = Rules.SYMBOL_SETS[message.symbolSet] ? message.symbolSet : 'digits';
+                const variant = Rules.getVariant(message.variant).id;
+                if (codeLength < 3 || codeLength > 8) {
+                    connection.send({ type: 'error', message: 'Code length must be 3-8' });
+                    return;
+                }
+                if (!Rules.getVariant(variant).supports(codeLength, symbolSet)) {
+                    connection.send({ type: 'error', message: 'Code settings do not fit the rule variant' });
+                    return;
+                }
+
+                const room = {
+                    code: createRoomCode(),
+                    codeLength,
+                    symbolSet,
+                    variant,
+                    secret: createSecret(codeLength, symbolSet, variant),
+                    players: new Map(),
+                    finished: false
+                };
+                rooms.set(room.code, room);
+
+                session.room = room;
+                session.player = joinRoom(connection, room, message.name);
+                break;
+            }
+
+            case 'join': {
+                const room = rooms.get(String(message.room || '').toUpperCase());
+                if (!room) {
+                    connection.send({ type: 'error', message: 'Room not found' });
+                    return;
+                }
+                if (room.finished) {
+                    connection.send({ type: 'error', message: 'Race is over' });
+                    return;
+                }
+                // Leaving first would drop the room if this player is alone in it
+                if (session.room === room) {
+                    connection.send({ type: 'error', message: 'Already in this room' });
+                    return;
+                }
+
+                leaveRoom(session);
+                const player = joinRoom(connection, room, message.name);
+                if (player) {
+                    session.room = room;
+                    session.player = player;
+                }
+                break;
+            }
+
+            case 'guess': {
+                const reply = handleGuess(session, message.sequence);
+                if (reply) connection.send(reply);
+                break;
+            }
+
+            case 'leave':
+                leaveRoom(session);
+                break;
+
+            default:
+                connection.send({ type: 'error', message: 'Unknown message type' });
+        }
+    };
+
+    const server = http.createServer((req, res) => {
+        res.writeHead(200, { 'Content-Type': 'text/plain' });
+        res.end(`CYBER LOCK race server - ${rooms.size} room(s)\n`);
+    });
+
+    server.on('upgrade', (req, socket) => {
+        if (req.url !== '/race') {
+            socket.end('HTTP/1.1 404 Not Found\r\n\r\n');
+            return;
+        }
+
+        const connection = acceptUpgrade(req, socket);
+        if (!connection) return;
+
+        const session = { connection, room: null, player: null };
+        connection.on('message', (message) => handleMessage(session, message));
+        connection.on('close', () => leaveRoom(session));
+    });
+
+    return server;
+};
+
+if (require.main === module) {
+    const port = parseInt(process.argv[2], 10) || DEFAULT_PORT;
+    createRaceServer().listen(port, HOST, () => {
+        console.log(`🏁 Race server listening on ws://localhost:${port}/race`);
+    });
+}
+
+module.exports = { createRaceServer };
@@ -0,0 +1,218 @@
+/**
+ * WEBSOCKET MODULE - Minimal RFC 6455 server side (no dependencies)
+ * Version: 2.0.0
+ *
+ * Supports what the race protocol needs: text frames, ping/pong and close.
+ * Fragmented messages and extensions are not supported.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_PAYLOAD = 64 * 1024;
+
+const OPCODES = {
+    text: 0x1,
+    close: 0x8,
+    ping: 0x9,
+    pong: 0xA
+};
+
+// Close status codes sent with the close frame
+const CLOSE_CODES = {
+    normal: 1000,
+    protocolError: 1002,
+    unsupportedData: 1003,
+    tooBig: 1009,
+    internalError: 1011
+};
+
+/**
+ * Error that ends the connection with a close code
+ */
+const protocolError = (message, code) => Object.assign(new Error(message), { closeCode: code });
+
+/**
+ * Encode a server frame (servers never mask)
+ */
+const encodeFrame = (opcode, payload = Buffer.alloc(0)) => {
+    const length = payload.length;
+    let header;
+
+    if (length < 126) {
+        header = Buffer.alloc(2);
+        header[1] = length;
+    } else if (length < 65536) {
+        header = Buffer.alloc(4);
+        header[1] = 126;
+        header.writeUInt16BE(length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(length), 2);
+    }
+
+    header[0] = 0x80 | opcode; // FIN + opcode
+    return Buffer.concat([header, payload]);
+};
+
+/**
+ * Decode one client frame from the buffer
+ * @returns {Object|null} { opcode, payload, size } or null if incomplete
+ */
+const decodeFrame = (buffer) => {
+    if (buffer.length < 2) return null;
+
+    const opcode = buffer[0] & 0x0F;
+    const masked = (buffer[1] & 0x80) !== 0;
+
+    // RFC 6455 5.1: a server must close the connection on an unmasked client frame
+    if (!masked) {
+        throw protocolError('Client frames must be masked', CLOSE_CODES.protocolError);
+    }
+
+    let length = buffer[1] & 0x7F;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    if (length > MAX_PAYLOAD) {
+        throw protocolError('Frame too large', CLOSE_CODES.tooBig);
+    }
+
+    if (buffer.length < offset + 4 + length) return null;
+
+    const mask = buffer.slice(offset, offset + 4);
+    const payload = Buffer.from(buffer.slice(offset + 4, offset + 4 + length));
+    for (let i = 0; i < payload.length; i++) {
+        payload[i] ^= mask[i % 4];
+    }
+
+    return { opcode, payload, size: offset + 4 + length };
+};
+
+/**
+ * A single WebSocket connection
+ * Events: 'message' (a parsed JSON object), 'close'
+ */
+class Connection extends EventEmitter {
+    constructor(socket) {
+        super();
+        this.socket = socket;
+        this.buffer = Buffer.alloc(0);
+        this.closed = false;
+
+        socket.on('data', (chunk) => this.handleData(chunk));
+        socket.on('close', () => this.handleClose());
+        socket.on('error', () => this.handleClose());
+    }
+
+    /**
+     * Send a JSON message
+     */
+    send(message) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(OPCODES.text, Buffer.from(JSON.stringify(message))));
+    }
+
+    /**
+     * Close the connection
+     * @param {number} code - close status code sent to the client
+     * @param {string} reason - short explanation (kept under the 123-byte frame limit)
+     */
+    close(code = CLOSE_CODES.normal, reason = '') {
+        if (this.closed) return;
+
+        const text = Buffer.from(String(reason)).slice(0, 123);
+        const payload = Buffer.alloc(2 + text.length);
+        payload.writeUInt16BE(code, 0);
+        text.copy(payload, 2);
+
+        this.socket.write(encodeFrame(OPCODES.close, payload));
+        this.socket.end();
+        this.handleClose();
+    }
+
+    handleData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        try {
+            let frame;
+            while ((frame = decodeFrame(this.buffer)) !== null) {
+                this.buffer = this.buffer.slice(frame.size);
+                this.handleFrame(frame);
+            }
+        } catch (error) {
+            this.close(error.closeCode || CLOSE_CODES.internalError, error.closeCode ? error.message : 'Server error');
+        }
+    }
+
+    handleFrame(frame) {
+        if (frame.opcode === OPCODES.close) {
+            this.close();
+        } else if (frame.opcode === OPCODES.ping) {
+            this.socket.write(encodeFrame(OPCODES.pong, frame.payload));
+        } else if (frame.opcode === OPCODES.text) {
+            let message;
+            try {
+                message = JSON.parse(frame.payload.toString('utf8'));
+            } catch (error) {
+                this.send({ type: 'error', message: 'Invalid JSON' });
+                return;
+            }
+            // Every protocol message is an object; null, arrays and bare values are not
+            if (message === null || typeof message !== 'object' || Array.isArray(message)) {
+                throw protocolError('Messages must be JSON objects', CLOSE_CODES.unsupportedData);
+            }
+            this.emit('message', message);
+        }
+    }
+
+    handleClose() {
+        if (this.closed) return;
+        this.closed = true;
+        this.emit('close');
+    }
+}
+
+/**
+ * Complete the upgrade handshake for an HTTP 'upgrade' request
+ * @returns {Connection|null}
+ */
+const acceptUpgrade = (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return null;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '',
+        ''
+    ].join('\r\n'));
+
+    return new Connection(socket);
+};
+
+module.exports = {
+    CLOSE_CODES,
+    acceptUpgrade,
+    encodeFrame,
+    decodeFrame
+};
@@ -0,0 +1,159 @@
+/**
+ * ACCESSIBILITY TESTS - Live regions, the tablist and dialogs
+ *
+ * Checks the ARIA roles in the page, then drives the tablist and a
+ * dialog with synthetic key presses.
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { settle, loadPage } = require('./helpers.js');
+
+let page;
+let document;
+
+/**
+ * Press a key on an element
+ */
+const press = (target, key, options = {}) => {
+    target.dispatchEvent(new page.window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+};
+
+/**
+ * Element an id reference attribute points to (or null)
+ */
+const getReferenced = (el, attribute) => {
+    const id = el.getAttribute(attribute);
+    return id ? document.getElementById(id) : null;
+};
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+    document = page.document;
+
+    // The profile picker opens on first run - the keyboard checks need the page
+    page.get('Profiles').create('TESTER');
+    page.get('Profiles').closePicker();
+    return settle();
+}));
+
+after(() => page.close());
+
+test('live regions exist and announcements reach them', () => {
+    const regions = { srStatus: 'polite', srAlert: 'assertive' };
+    Object.entries(regions).forEach(([id, politeness]) => {
+        const region = document.getElementById(id);
+        assert.ok(region, `#${id} exists`);
+        assert.strictEqual(region.getAttribute('aria-live'), politeness);
+        assert.strictEqual(region.getAttribute('aria-atomic'), 'true');
+    });
+
+    page.get('A11y').announce('Lock breached');
+    return settle(100).then(() => {
+        assert.strictEqual(document.getElementById('srStatus').textContent, 'Lock breached');
+    });
+});
+
+test('tabs and panels reference each other and only the selected tab is tabbable', () => {
+    const tablist = document.querySelector('[role="tablist"]');
+    assert.ok(tablist && tablist.getAttribute('aria-label'), 'tabs are in a labelled tablist');
+
+    const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+    assert.ok(tabs.length > 1);
+    tabs.forEach(tab => {
+        const panel = getReferenced(tab, 'aria-controls');
+        assert.ok(panel, `tab "${tab.dataset.tab}" controls a panel`);
+        assert.strictEqual(panel.getAttribute('role'), 'tabpanel');
+        assert.strictEqual(getReferenced(panel, 'aria-labelledby'), tab);
+    });
+
+    const selected = tabs.filter(tab => tab.getAttribute('aria-selected') === 'true');
+    assert.strictEqual(selected.length, 1, 'exactly one tab is selected');
+    tabs.forEach(tab => {
+        assert.strictEqual(tab.tabIndex, selected.includes(tab) ? 0 : -1);
+        assert.strictEqual(getReferenced(tab, 'aria-controls').classList.contains('active'), selected.includes(tab));
+    });
+});
+
+test('arrow keys, Home and End move between tabs', () => {
+    const tabs = Array.from(document.querySelectorAll('[role="tab"]'));
+    const start = tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
+    const startIndex = tabs.indexOf(start);
+    const assertSelected = (tab, message) => {
+        assert.strictEqual(tab.getAttribute('aria-selected'), 'true', message);
+        assert.strictEqual(document.activeElement, tab, message);
+    };
+
+    press(start, 'ArrowRight');
+    const next = tabs[(startIndex + 1) % tabs.length];
+    assertSelected(next, 'ArrowRight selects and focuses the next tab');
+
+    press(next, 'ArrowLeft');
+    assertSelected(start, 'ArrowLeft selects and focuses the previous tab');
+
+    press(start, 'End');
+    assertSelected(tabs[tabs.length - 1], 'End selects the last tab');
+
+    press(tabs[tabs.length - 1], 'ArrowRight');
+    assertSelected(tabs[0], 'ArrowRight wraps from the last tab to the first');
+
+    press(tabs[0], 'Home');
+    assertSelected(tabs[0], 'Home selects the first tab');
+});
+
+test('every modal is a labelled dialog', () => {
+    const modals = Array.from(document.querySelectorAll('.modal'));
+    assert.ok(modals.length > 0);
+    modals.forEach(modal => {
+        const label = getReferenced(modal, 'aria-labelledby');
+        assert.strictEqual(modal.getAttribute('role'), 'dialog', `#${modal.id} has the dialog role`);
+        assert.strictEqual(modal.getAttribute('aria-modal'), 'true', `#${modal.id} is modal`);
+        assert.ok(label && label.textContent.trim().length > 0, `#${modal.id} is labelled`);
+    });
+});
+
+test('dialogs take focus, trap Tab, close with Escape and give focus back', () => {
+    const opener = document.createElement('button');
+    opener.textContent = 'Opener';
+    document.body.appendChild(opener);
+
+    const dialog = document.createElement('div');
+    dialog.className = 'modal';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.innerHTML = `
+        <div class="modal-content">
+            <input type="text" aria-label="Field">
+            <button>OK</button>
+            <button data-dismiss>CLOSE</button>
+        </div>
+    `;
+    const [first, , last] = dialog.querySelectorAll('input, button');
+    last.addEventListener('click', () => dialog.classList.remove('show'));
+    document.body.appendChild(dialog);
+    page.get('A11y').registerDialog(dialog);
+
+    opener.focus();
+    dialog.classList.add('show');
+
+    return settle().then(() => {
+        assert.strictEqual(document.activeElement, first, 'opening a dialog focuses its first control');
+        assert.strictEqual(document.querySelector('main').inert, true, 'the page behind an open dialog is inert');
+
+        last.focus();
+        press(last, 'Tab');
+        assert.strictEqual(document.activeElement, first, 'Tab from the last control wraps to the first');
+
+        press(first, 'Tab', { shiftKey: true });
+        assert.strictEqual(document.activeElement, last, 'Shift+Tab from the first control wraps to the last');
+
+        press(last, 'Escape');
+        return settle();
+    }).then(() => {
+        assert.ok(!dialog.classList.contains('show'), 'Escape closes the dialog');
+        assert.strictEqual(document.activeElement, opener, 'closing a dialog returns focus to where it was');
+        assert.notStrictEqual(document.querySelector('main').inert, true, 'the page is usable again once dialogs close');
+    });
+});
@@ -0,0 +1,63 @@
+/**
+ * TEST HELPERS - Load the page and its scripts into jsdom
+ */
+
+'use strict';
+
+const fs = require('fs');
+const vm = require('vm');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * Wait for timers (live regions, dialog observers) to run
+ */
+const settle = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Load index.html and run its scripts in order, as the browser would
+ * @param {Object} options - { storage } localStorage items to start from
+ * @returns {Promise<{ window, document, get: (name: string) => any, close: () => void }>}
+ *          resolved once the page's DOMContentLoaded start-up has run
+ */
+const loadPage = (options = {}) => {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    const dom = new JSDOM(html, { url: 'http://localhost/', runScripts: 'outside-only', pretendToBeVisual: true });
+    const { window } = dom;
+
+    // jsdom has no media queries - everything reports "no preference"
+    window.matchMedia = (query) => ({
+        matches: false,
+        media: query,
+        addEventListener: () => {},
+        removeEventListener: () => {}
+    });
+    window.console = { ...console, log: () => {}, info: () => {} };
+    Object.entries(options.storage || {}).forEach(([key, value]) => window.localStorage.setItem(key, value));
+
+    // Scripts share one global scope, like classic <script> tags
+    const context = dom.getInternalVMContext();
+    const run = (code, filename) => new vm.Script(code, { filename }).runInContext(context);
+
+    Array.from(window.document.querySelectorAll('script')).forEach(script => {
+        const src = script.getAttribute('src');
+        if (src && /^https?:/.test(src)) return;
+        run(src ? fs.readFileSync(path.join(ROOT, src), 'utf8') : script.textContent, src || 'index.html');
+    });
+
+    const page = {
+        window,
+        document: window.document,
+        // Modules are top-level consts, so they aren't properties of window
+        get: (name) => run(name, 'test'),
+        close: () => window.close()
+    };
+
+    return new Promise(resolve => {
+        window.document.addEventListener('DOMContentLoaded', () => resolve(page));
+    });
+};
+
+module.exports = { ROOT, settle, loadPage };
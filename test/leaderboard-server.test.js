@@ -0,0 +1,268 @@
+/**
+ * LEADERBOARD SERVER TESTS - Ranked games and score submission
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Rules = require('../js/rules.js');
+const Verifier = require('../js/verifier.js');
+const { createLeaderboardServer } = require('../server/leaderboard-server.js');
+
+let server;
+let baseUrl;
+let dir;
+
+/**
+ * Send a request and read the JSON reply
+ */
+const request = (method, route, body) => {
+    return fetch(`${baseUrl}${route}`, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: body === undefined ? undefined : JSON.stringify(body)
+    }).then(response => response.text().then(text => ({
+        status: response.status,
+        body: text ? JSON.parse(text) : null
+    })));
+};
+
+/**
+ * Start a positional game - its marks give away one symbol per guess
+ */
+const startGame = (overrides = {}) => request('POST', '/games', {
+    difficulty: 'medium',
+    codeLength: 3,
+    symbolSet: 'digits',
+    variant: 'positional',
+    logicMode: 'off',
+    timerMode: false,
+    ...overrides
+});
+
+/**
+ * Crack a positional game: try each digit everywhere, then play the code
+ */
+const crack = (id) => {
+    const found = [];
+    const tryDigit = (digit) => {
+        if (digit > 9 || found.filter(Boolean).length === 3) {
+            return request('POST', `/games/${id}/guesses`, { sequence: found.join('') });
+        }
+        return request('POST', `/games/${id}/guesses`, { sequence: String(digit).repeat(3) }).then(({ body }) => {
+            if (body.result) return { body };
+            body.marks.forEach((mark, i) => {
+                if (mark === 'hit') found[i] = String(digit);
+            });
+            return tryDigit(digit + 1);
+        });
+    };
+    return tryDigit(0).then(({ body }) => body);
+};
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'leaderboard-'));
+    server = createLeaderboardServer({ file: path.join(dir, 'scores.json') });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+        resolve();
+    }));
+});
+
+after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a game started on the server commits to a secret it keeps to itself', () => {
+    return startGame().then(({ status, body }) => {
+        assert.strictEqual(status, 201);
+        assert.match(body.commitment, /^[0-9a-f]{64}$/);
+        assert.strictEqual(body.settings.maxAttempts, Rules.DIFFICULTY_SETTINGS.medium.attempts);
+        assert.strictEqual(body.secret, undefined);
+        assert.strictEqual(body.nonce, undefined);
+    });
+});
+
+test('invalid game settings are refused', () => {
+    return Promise.all([
+        startGame({ difficulty: 'impossible' }),
+        startGame({ codeLength: 12 }),
+        startGame({ variant: 'bulls', codeLength: 9, symbolSet: 'colors' }),
+        startGame({ timerMode: true, timerDuration: 5 })
+    ]).then(replies => {
+        replies.forEach(reply => assert.strictEqual(reply.status, 400));
+    });
+});
+
+test('a hand-written game log is not accepted as a score', () => {
+    const nonce = 'n';
+    const entry = {
+        id: 'forged',
+        player: 'CHEATER',
+        score: 950,
+        attempts: 1,
+        difficulty: 'medium',
+        replay: {
+            startedAt: 0,
+            events: [
+                {
+                    type: 'start', t: 0, commitment: Rules.commitSecret('1234', nonce),
+                    settings: { difficulty: 'medium', maxAttempts: 15, maxHints: 3, codeLength: 4, symbolSet: 'digits' }
+                },
+                { type: 'guess', t: 1000, sequence: '1234', exact: 4, partial: 0 },
+                { type: 'end', t: 1000, result: 'win', secret: '1234', nonce, attempts: 1, score: 950 }
+            ]
+        }
+    };
+    // The log itself is consistent - only the server's own record can tell it apart
+    assert.ok(Verifier.verifyEntry(entry).valid);
+
+    return request('POST', '/scores', entry).then(({ status }) => {
+        assert.strictEqual(status, 400);
+        return request('POST', '/scores', { gameId: 'forged', player: 'CHEATER' });
+    }).then(({ status }) => {
+        assert.strictEqual(status, 404);
+        return request('GET', '/scores');
+    }).then(({ body }) => {
+        assert.strictEqual(body.total, 0);
+    });
+});
+
+test('a game won on the server is scored from the server log', () => {
+    let id;
+    let commitment;
+
+    return startGame().then(({ body }) => {
+        ({ id, commitment } = body);
+        return request('POST', `/games/${id}/suggestions`, {});
+    }).then(({ body }) => {
+        assert.strictEqual(body.suggestionsUsed, 1);
+        return crack(id);
+    }).then(reveal => {
+        assert.strictEqual(reveal.result, 'win');
+        assert.strictEqual(Rules.commitSecret(reveal.secret, reveal.nonce), commitment);
+        return request('POST', '/scores', { gameId: id, player: 'solver', profileId: 'p1' });
+    }).then(({ status, body }) => {
+        assert.strictEqual(status, 201);
+        const entry = body.score;
+        assert.strictEqual(entry.id, id);
+        assert.strictEqual(entry.player, 'SOLVER');
+        assert.strictEqual(entry.replay.events[0].commitment, commitment);
+        assert.strictEqual(entry.score, Rules.computeScore({ attempts: entry.attempts, suggestionsUsed: 1 }));
+        assert.ok(Verifier.verifyEntry(entry).valid);
+
+        // Retried submissions get the stored entry back
+        return request('POST', '/scores', { gameId: id, player: 'someone else' });
+    }).then(({ status, body }) => {
+        assert.strictEqual(status, 200);
+        assert.strictEqual(body.score.player, 'SOLVER');
+    });
+});
+
+test('finished games take no more guesses and lost games are not scored', () => {
+    let id;
+
+    return startGame({ difficulty: 'easy' }).then(({ body }) => {
+        id = body.id;
+        const wrong = (n) => request('POST', `/games/${id}/guesses`, { sequence: 'AAA' }).then(({ status }) => {
+            assert.strictEqual(status, 400, 'symbols outside the set are refused');
+            return request('POST', `/games/${id}/guesses`, { sequence: `${n}${n}${n}` });
+        });
+        // Easy allows 6 attempts; keep guessing until the game ends one way or the other
+        const loop = (n) => wrong(n).then(({ body: reply }) => (reply.result ? reply : loop(n + 1)));
+        return loop(0);
+    }).then(reply => {
+        assert.match(reply.secret, /^\d{3}$/);
+        return request('POST', `/games/${id}/guesses`, { sequence: reply.secret }).then(({ status }) => {
+            assert.strictEqual(status, 409);
+            return request('POST', '/scores', { gameId: id, player: 'x' });
+        }).then(({ status }) => {
+            assert.strictEqual(status, reply.result === 'win' ? 201 : 422);
+        });
+    });
+});
+
+test('a malformed escape in a score id is a bad request, not a crash', () => {
+    return request('DELETE', '/scores/%E0%A4%A').then(({ status }) => {
+        assert.strictEqual(status, 400);
+        return request('GET', '/scores');
+    }).then(({ status }) => {
+        assert.strictEqual(status, 200, 'the server is still up');
+    });
+});
+
+test('deletes are refused unless an admin token is configured', () => {
+    return request('DELETE', '/scores/anything').then(({ status }) => {
+        assert.strictEqual(status, 403);
+    });
+});
+
+test('deletes need the configured admin token', () => {
+    const file = path.join(dir, 'admin.json');
+    fs.writeFileSync(file, JSON.stringify([{ id: 'score-1', player: 'A', score: 500 }]));
+    const admin = createLeaderboardServer({ file, adminToken: 'secret-token' });
+
+    return new Promise(resolve => admin.listen(0, '127.0.0.1', resolve)).then(() => {
+        const url = `http://127.0.0.1:${admin.address().port}/scores/score-1`;
+        const remove = (token) => fetch(url, {
+            method: 'DELETE',
+            headers: token ? { Authorization: `Bearer ${token}` } : {}
+        }).then(response => response.status);
+
+        return remove(null)
+            .then(status => assert.strictEqual(status, 401))
+            .then(() => remove('wrong'))
+            .then(status => assert.strictEqual(status, 401))
+            .then(() => remove('secret-token'))
+            .then(status => assert.strictEqual(status, 204))
+            .then(() => remove('secret-token'))
+            .then(status => assert.strictEqual(status, 404));
+    }).finally(() => admin.close());
+});
+
+test('a game whose log fails the checks is refused for good, not as a server fault', () => {
+    const now = Date.now;
+
+    return startGame().then(({ body }) => {
+        // Clock set back after the start: every later event predates it
+        Date.now = () => now() - 5000;
+        return crack(body.id).then(reply => {
+            Date.now = now;
+            assert.strictEqual(reply.result, 'win');
+            return request('POST', '/scores', { gameId: body.id, player: 'x' });
+        });
+    }).then(({ status, body }) => {
+        assert.strictEqual(status, 422);
+        assert.match(body.error, /timestamps/);
+    }).finally(() => {
+        Date.now = now;
+    });
+});
+
+test('bad request bodies are answered with 4xx, never 500', () => {
+    const bad = [
+        { difficulty: 'medium', codeLength: 3, symbolSet: 'toString' },
+        { difficulty: 'constructor', codeLength: 3, symbolSet: 'digits' },
+        { difficulty: '__proto__', codeLength: 3, symbolSet: 'digits' }
+    ];
+
+    return Promise.all(bad.map(body => request('POST', '/games', body))).then(replies => {
+        replies.forEach(({ status }, i) => assert.strictEqual(status, 400, JSON.stringify(bad[i])));
+        return startGame();
+    }).then(({ body }) => Promise.all([
+        request('POST', `/games/${body.id}/guesses`, null),
+        request('POST', `/games/${body.id}/guesses`, { sequence: ['1', '2', '3'] }),
+        request('POST', `/games/${body.id}/suggestions`),
+        request('POST', '/scores', [])
+    ])).then(([nullGuess, listGuess, suggestion, submission]) => {
+        assert.strictEqual(nullGuess.status, 400);
+        assert.strictEqual(listGuess.status, 400);
+        assert.strictEqual(suggestion.status, 200, 'a suggestion needs no body');
+        assert.strictEqual(submission.status, 400);
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * LEADERBOARD TESTS - Ranking and ordering
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+let page;
+let Leaderboard;
+
+/**
+ * A stored entry (untimed unless a time is given)
+ */
+const entry = (id, score, attempts, time = 0) => ({
+    id, player: id.toUpperCase(), score, attempts, time, difficulty: 'medium', variant: 'classic', timestamp: Number(id.slice(1))
+});
+
+/**
+ * Copy a value out of the page's realm so deepStrictEqual compares plain arrays
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * Load entries into the leaderboard through a memory adapter
+ */
+const loadEntries = (entries) => new Promise(resolve => {
+    const storage = page.get('ScoreStorage').createMemoryAdapter(entries);
+    Leaderboard.init(() => resolve(), { storage });
+});
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+    Leaderboard = page.get('Leaderboard');
+}));
+
+after(() => page.close());
+
+test('untimed entries with the same result share a rank', () => {
+    return loadEntries([
+        entry('e1', 900, 3),
+        entry('e2', 900, 3),
+        entry('e3', 900, 3),
+        entry('e4', 850, 4)
+    ]).then(() => {
+        const { scores } = Leaderboard.queryScores({ sort: 'score' });
+        assert.deepStrictEqual(plain(scores.map(s => s.rank)), [1, 1, 1, 4]);
+        assert.deepStrictEqual(plain(scores.map(s => s.id)), ['e1', 'e2', 'e3', 'e4'], 'earlier entries list first among ties');
+
+        assert.strictEqual(Leaderboard.getRank({ score: 900, attempts: 3, time: 0 }), 1);
+        assert.strictEqual(Leaderboard.getRank({ score: 850, attempts: 4, time: 0 }), 4);
+    });
+});
+
+test('timed entries rank ahead of untimed ones with the same result', () => {
+    return loadEntries([
+        entry('e1', 900, 3),
+        entry('e2', 900, 3, 40),
+        entry('e3', 900, 3, 20)
+    ]).then(() => {
+        const { scores } = Leaderboard.queryScores({ sort: 'score' });
+        assert.deepStrictEqual(plain(scores.map(s => [s.id, s.rank])), [['e3', 1], ['e2', 2], ['e1', 3]]);
+
+        const byTime = Leaderboard.queryScores({ sort: 'time' }).scores.map(s => s.id);
+        assert.deepStrictEqual(plain(byTime), ['e3', 'e2', 'e1']);
+    });
+});
+
+test('an import whose game log makes the check throw counts the entry as rejected', () => {
+    const Rules = page.get('Rules');
+    const imported = {
+        id: 'bad-log', player: 'MALLORY', score: 950, attempts: 1, time: 0, difficulty: 'medium',
+        date: new Date().toISOString(),
+        replay: {
+            startedAt: 0,
+            events: [
+                {
+                    type: 'start', t: 0, commitment: Rules.commitSecret('1234', 'n'),
+                    settings: {
+                        difficulty: 'medium', maxAttempts: 15, maxHints: 3, codeLength: 4,
+                        symbolSet: 'digits', variant: 'positional'
+                    }
+                },
+                // Marks must be a list - a number makes the feedback comparison throw
+                { type: 'guess', t: 1000, sequence: '1234', exact: 4, partial: 0, marks: 1 },
+                { type: 'end', t: 1000, result: 'win', secret: '1234', nonce: 'n', attempts: 1, score: 950 }
+            ]
+        }
+    };
+
+    return loadEntries([]).then(() => {
+        let report;
+        assert.doesNotThrow(() => {
+            report = Leaderboard.importScores(JSON.stringify([imported]));
+        });
+        assert.strictEqual(report.accepted.length, 0);
+        assert.strictEqual(report.rejected.length, 1);
+        assert.match(report.rejected[0].reasons.join(' '), /could not be checked/);
+    });
+});
+
+test('the page label follows the leaderboard pages', () => {
+    const entries = Array.from({ length: 25 }, (_, i) => entry(`e${i + 1}`, 900 - i, 3));
+
+    return loadEntries(entries).then(() => {
+        const UI = page.get('UI');
+        const label = page.document.getElementById('leaderboardPageInfo');
+
+        UI.changeLeaderboardPage(-1);
+        assert.strictEqual(label.textContent, 'PAGE 1/2');
+        UI.changeLeaderboardPage(1);
+        assert.strictEqual(label.textContent, 'PAGE 2/2');
+        UI.changeLeaderboardPage(-1);
+        assert.strictEqual(label.textContent, 'PAGE 1/2');
+    });
+});
@@ -0,0 +1,108 @@
+/**
+ * MATCH TESTS - A duel's player-set code survives the game controls
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { settle, loadPage } = require('./helpers.js');
+
+let page;
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+    page.get('Profiles').create('TESTER');
+    page.get('Profiles').closePicker();
+    return settle();
+}));
+
+after(() => page.close());
+
+test('settings and new game are held while a duel leg is played', () => {
+    const { document } = page;
+    const Game = page.get('Game');
+    const Match = page.get('Match');
+    const before = Game.getState();
+
+    Match.start();
+    document.getElementById('duelSecretInput').value = '1234';
+    Match.submitSecret();
+
+    document.querySelector('.difficulty-btn[data-difficulty="easy"]').click();
+    document.querySelector('.timer-btn[data-timer="60"]').click();
+    assert.strictEqual(Game.setCodeConfig({ length: 5 }), false);
+    assert.strictEqual(Game.setVariant('bulls'), false);
+    page.get('UI').newGame();
+
+    const state = Game.getState();
+    assert.strictEqual(state.difficulty, before.difficulty);
+    assert.strictEqual(state.timerMode, before.timerMode);
+    assert.strictEqual(state.codeLength, before.codeLength);
+    assert.ok(document.querySelector('.difficulty-btn.active').dataset.difficulty === before.difficulty,
+        'the buttons show the settings in play');
+
+    // The code the other player set is still the one to crack
+    assert.ok(Game.makeGuess('1234').gameWon);
+});
+
+test('settings are free again once the duel is over', () => {
+    const Game = page.get('Game');
+    page.get('Match').cancel();
+
+    assert.strictEqual(Game.setCodeConfig({ length: 5 }), true);
+    assert.strictEqual(Game.getState().codeLength, 5);
+});
+
+test('player names on the results screen are shown as text', { timeout: 10000 }, () => {
+    const { document } = page;
+    const Game = page.get('Game');
+    const Match = page.get('Match');
+    const name = '<img src=x onerror="window.pwned=1">';
+
+    /**
+     * Set a code for the breaker and crack it straight away
+     */
+    const playLeg = () => {
+        document.getElementById('duelSecretInput').value = '1'.repeat(Game.getState().codeLength);
+        Match.submitSecret();
+        Game.makeGuess('1'.repeat(Game.getState().codeLength));
+    };
+
+    document.getElementById('duelPlayerA').value = name;
+    document.getElementById('duelPlayerB').value = 'BOB';
+    document.getElementById('duelBestOf').value = '1';
+    Match.start();
+    playLeg();
+
+    // Each leg and the results screen follow after a pause
+    return settle(1600).then(() => {
+        playLeg();
+        return settle(1600);
+    }).then(() => {
+        const body = document.getElementById('duelResultsBody');
+        assert.strictEqual(body.querySelector('img'), null);
+        assert.strictEqual(body.querySelector('.duel-results-head').children[1].textContent, name.toUpperCase().substring(0, 20));
+        assert.strictEqual(Match.isActive(), false);
+    });
+});
+
+test('a timed duel leg starts its clock only once the code is set', { timeout: 10000 }, () => {
+    const { document } = page;
+    const Game = page.get('Game');
+    const Match = page.get('Match');
+    Game.setTimerMode(true, 60);
+
+    Match.start();
+    return settle(1200).then(() => {
+        assert.strictEqual(Game.getState().timeLeft, 60, 'no time runs while the setter types');
+
+        document.getElementById('duelSecretInput').value = '1'.repeat(Game.getState().codeLength);
+        Match.submitSecret();
+        return settle(1200);
+    }).then(() => {
+        assert.ok(Game.getState().timeLeft < 60);
+        Match.cancel();
+        Game.setTimerMode(false);
+    });
+});
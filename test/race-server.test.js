@@ -0,0 +1,170 @@
+/**
+ * RACE SERVER TESTS - Rooms and the WebSocket layer
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const crypto = require('crypto');
+const { createRaceServer } = require('../server/race-server.js');
+const { CLOSE_CODES } = require('../server/websocket.js');
+
+let server;
+let port;
+
+/**
+ * Build a client frame (clients mask unless told not to)
+ */
+const clientFrame = (text, masked = true) => {
+    const payload = Buffer.from(text);
+    const header = Buffer.from([0x81, (masked ? 0x80 : 0) | payload.length]);
+    if (!masked) return Buffer.concat([header, payload]);
+
+    const mask = crypto.randomBytes(4);
+    const body = Buffer.from(payload.map((byte, i) => byte ^ mask[i % 4]));
+    return Buffer.concat([header, mask, body]);
+};
+
+/**
+ * Open a raw WebSocket connection
+ * @returns {Promise<Object>} { send(message | text, masked), next(type), closed }
+ */
+const connect = () => new Promise((resolve, reject) => {
+    const req = http.request({
+        port,
+        host: '127.0.0.1',
+        path: '/race',
+        headers: {
+            Connection: 'Upgrade',
+            Upgrade: 'websocket',
+            'Sec-WebSocket-Key': crypto.randomBytes(16).toString('base64'),
+            'Sec-WebSocket-Version': '13'
+        }
+    });
+
+    req.on('upgrade', (res, socket) => {
+        const messages = [];
+        const waiting = [];
+        let buffer = Buffer.alloc(0);
+        let resolveClosed;
+        const closed = new Promise(done => { resolveClosed = done; });
+
+        // Server frames are small and unmasked
+        socket.on('data', (chunk) => {
+            buffer = Buffer.concat([buffer, chunk]);
+            while (buffer.length >= 2) {
+                let length = buffer[1] & 0x7F;
+                let offset = 2;
+                if (length === 126) {
+                    length = buffer.readUInt16BE(2);
+                    offset = 4;
+                }
+                if (buffer.length < offset + length) break;
+
+                const opcode = buffer[0] & 0x0F;
+                const payload = buffer.slice(offset, offset + length);
+                buffer = buffer.slice(offset + length);
+
+                if (opcode === 0x8) {
+                    resolveClosed(payload.length >= 2 ? payload.readUInt16BE(0) : null);
+                } else {
+                    messages.push(JSON.parse(payload.toString('utf8')));
+                    waiting.splice(0).forEach(check => check());
+                }
+            }
+        });
+        socket.on('close', () => resolveClosed(null));
+
+        resolve({
+            send: (message, masked = true) => {
+                socket.write(clientFrame(typeof message === 'string' ? message : JSON.stringify(message), masked));
+            },
+            // Next message of a type (earlier ones of other types are skipped)
+            next: (type) => new Promise(done => {
+                const check = () => {
+                    const index = messages.findIndex(m => m.type === type);
+                    if (index === -1) {
+                        waiting.push(check);
+                        return;
+                    }
+                    done(messages.splice(0, index + 1).pop());
+                };
+                check();
+            }),
+            closed,
+            end: () => socket.destroy()
+        });
+    });
+    req.on('error', reject);
+    req.end();
+});
+
+/**
+ * Rooms the server reports on its plain HTTP page
+ */
+const countRooms = () => fetch(`http://127.0.0.1:${port}/`)
+    .then(response => response.text())
+    .then(text => parseInt(text.match(/(\d+) room/)[1], 10));
+
+before(() => {
+    server = createRaceServer();
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        port = server.address().port;
+        resolve();
+    }));
+});
+
+after(() => server.close());
+
+test('rejoining your own room keeps it open for others', { timeout: 5000 }, () => {
+    let host;
+    let room;
+
+    return connect().then(client => {
+        host = client;
+        host.send({ type: 'create', name: 'host' });
+        return host.next('joined');
+    }).then(joined => {
+        room = joined.room;
+        host.send({ type: 'join', room, name: 'host' });
+        return host.next('error');
+    }).then(error => {
+        assert.strictEqual(error.message, 'Already in this room');
+        return countRooms();
+    }).then(count => {
+        assert.strictEqual(count, 1);
+        return connect();
+    }).then(guest => {
+        guest.send({ type: 'join', room, name: 'guest' });
+        return guest.next('joined').then(joined => {
+            assert.strictEqual(joined.room, room);
+            return host.next('players');
+        }).then(({ players }) => {
+            assert.deepStrictEqual(players.map(p => p.name), ['HOST', 'GUEST']);
+            guest.end();
+            host.end();
+        });
+    });
+});
+
+test('a message that is not a JSON object closes the connection with a code', { timeout: 5000 }, () => {
+    return Promise.all(['null', '42', '"join"', '[]'].map(text => connect().then(client => {
+        client.send(text);
+        return client.closed.then(code => {
+            client.end();
+            assert.strictEqual(code, CLOSE_CODES.unsupportedData, text);
+        });
+    })));
+});
+
+test('unmasked client frames close the connection with a protocol error', { timeout: 5000 }, () => {
+    return connect().then(client => {
+        client.send({ type: 'create', name: 'x' }, false);
+        return client.closed.then(code => {
+            client.end();
+            assert.strictEqual(code, CLOSE_CODES.protocolError);
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * RANKED TESTS - A ranked game played in the page against the leaderboard server
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { settle, loadPage } = require('./helpers.js');
+const { createLeaderboardServer } = require('../server/leaderboard-server.js');
+
+let server;
+let dir;
+let page;
+let Game;
+
+/**
+ * Wait until a condition holds (polling the page)
+ */
+const waitFor = (condition, tries = 100) => {
+    if (condition()) return Promise.resolve();
+    if (tries === 0) return Promise.reject(new Error('Timed out waiting'));
+    return settle(10).then(() => waitFor(condition, tries - 1));
+};
+
+/**
+ * Guess and wait for the server's feedback
+ */
+const guess = (sequence) => {
+    const before = Game.getState().attempts;
+    Game.makeGuess(sequence);
+    return waitFor(() => Game.getState().attempts > before).then(() => Game.getState());
+};
+
+before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ranked-'));
+    server = createLeaderboardServer({ file: path.join(dir, 'scores.json') });
+
+    return new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+        .then(() => loadPage())
+        .then(loaded => {
+            page = loaded;
+            page.window.fetch = fetch;
+            Game = page.get('Game');
+            page.get('Profiles').create('TESTER');
+            page.get('Profiles').closePicker();
+            return page.get('Leaderboard').setRemote(`http://127.0.0.1:${server.address().port}`);
+        });
+});
+
+after(() => {
+    page.close();
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('a won ranked game reaches the shared board from the server log', () => {
+    const Ranked = page.get('Ranked');
+    const Leaderboard = page.get('Leaderboard');
+
+    Game.setCodeConfig({ length: 3, symbols: 'digits' });
+    Game.setVariant('positional');
+
+    return Ranked.start().then(started => {
+        assert.ok(started);
+        const state = Game.getState();
+        assert.ok(state.remote);
+        assert.match(state.commitment, /^[0-9a-f]{64}$/);
+        assert.strictEqual(state.seed, null);
+
+        // Positional marks give each digit's positions away
+        const found = [];
+        const tryDigit = (digit) => {
+            if (Game.getState().gameOver) return Game.getState();
+            if (found.filter(Boolean).length === 3) return guess(found.join(''));
+            return guess(String(digit).repeat(3)).then(after => {
+                after.guesses[0].marks.forEach((mark, i) => {
+                    if (mark === 'hit') found[i] = String(digit);
+                });
+                return tryDigit(digit + 1);
+            });
+        };
+        return tryDigit(0);
+    }).then(state => {
+        assert.ok(state.gameOver);
+        assert.ok(Ranked.getWonGameId(), 'the won game can be submitted');
+        return Leaderboard.submitRanked(Ranked.getWonGameId(), 'tester');
+    }).then(ok => {
+        assert.ok(ok);
+        const [entry] = Leaderboard.getScores();
+        assert.strictEqual(entry.player, 'TESTER');
+        assert.strictEqual(entry.id, Ranked.getWonGameId());
+        assert.strictEqual(entry.replay.events[0].commitment, Game.getState().commitment);
+    });
+});
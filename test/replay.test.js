@@ -0,0 +1,65 @@
+/**
+ * REPLAY TESTS - Saved game selector
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+let page;
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+}));
+
+after(() => page.close());
+
+test('player names are listed as text, not markup', () => {
+    const player = '<img src=x onerror="window.pwned=1">';
+    const storage = page.get('ScoreStorage').createMemoryAdapter([{
+        id: 'r1', player, score: 900, attempts: 3, time: 0, difficulty: 'medium', variant: 'classic',
+        timestamp: 1, date: new Date().toISOString(), replay: { startedAt: 0, events: [] }
+    }]);
+
+    return new Promise(resolve => page.get('Leaderboard').init(() => resolve(), { storage })).then(() => {
+        page.get('Replay').refreshList();
+
+        const select = page.document.getElementById('replaySelect');
+        assert.strictEqual(select.querySelector('img'), null);
+        assert.strictEqual(select.options.length, 2);
+        assert.strictEqual(select.options[1].value, 'r1');
+        assert.ok(select.options[1].textContent.startsWith(player));
+    });
+});
+
+test('replay notes show logged fields as text', () => {
+    const payload = '<img src=x onerror="window.pwned=1">';
+    const storage = page.get('ScoreStorage').createMemoryAdapter([{
+        id: 'r2', player: 'TESTER', score: 900, attempts: 1, time: 0, difficulty: 'medium', variant: 'classic',
+        timestamp: 2, date: new Date().toISOString(),
+        replay: {
+            startedAt: 0,
+            events: [
+                { type: 'start', t: 0, settings: { codeLength: 4, symbolSet: 'digits' } },
+                { type: 'suggest', t: 100, guess: payload, remaining: payload },
+                { type: 'end', t: 200, result: payload, secret: payload, score: payload }
+            ]
+        }
+    }]);
+
+    return new Promise(resolve => page.get('Leaderboard').init(() => resolve(), { storage })).then(() => {
+        const Replay = page.get('Replay');
+        Replay.load('r2');
+        Replay.step();
+        Replay.step();
+
+        const list = page.document.getElementById('replayList');
+        assert.strictEqual(list.querySelector('img'), null);
+        const notes = [...list.querySelectorAll('.replay-note-text')].map(note => note.textContent);
+        assert.strictEqual(notes.length, 2);
+        assert.ok(notes[0].includes(payload));
+        Replay.load('');
+    });
+});
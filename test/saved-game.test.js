@@ -0,0 +1,58 @@
+/**
+ * SAVED GAME TESTS - Corrupt saves never stop the page from starting
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+const SAVE_KEY = 'cyber_lock_saved_game';
+
+/**
+ * A save with every field a game is rebuilt from
+ */
+const createSave = (overrides = {}) => JSON.stringify({
+    version: 2, salt: 'abc', code: 'UFBQ', nonce: 'UFBQ', commitment: 'c',
+    attempts: 1, maxAttempts: 10, guesses: [{ sequence: '1234', exact: 0, partial: 0 }],
+    hintsUsed: 0, maxHints: 3, suggestionsUsed: 0, inconsistentGuesses: 0, logicMode: 'off',
+    difficulty: 'medium', codeLength: 4, symbolSet: 'digits', variant: 'classic', seed: null,
+    dailyMode: false, timerMode: false, timerDuration: 0, timeLeft: 0, startTime: Date.now(),
+    events: [], notes: [], savedAt: Date.now(),
+    ...overrides
+});
+
+test('a save missing its settings is dropped and a fresh game starts', () => {
+    const saves = [
+        '{not json',
+        createSave({ symbolSet: 'bogus' }),
+        createSave({ difficulty: undefined }),
+        createSave({ guesses: [null] })
+    ];
+
+    return saves.reduce((done, save) => done.then(() => loadPage({ storage: { [SAVE_KEY]: save } })).then(page => {
+        const Game = page.get('Game');
+        assert.strictEqual(Game.getSavedGame(), null, save);
+        assert.strictEqual(page.window.localStorage.getItem(SAVE_KEY), null);
+        assert.strictEqual(Game.getState().attempts, 0);
+        page.close();
+    }), Promise.resolve());
+});
+
+test('a save whose code does not decode is abandoned on resume', () => {
+    return loadPage({ storage: { [SAVE_KEY]: createSave({ code: '!!!' }) } }).then(page => {
+        const Game = page.get('Game');
+        assert.ok(Game.getSavedGame(), 'the save looks resumable');
+
+        assert.doesNotThrow(() => page.get('UI').resumeGame());
+        assert.strictEqual(page.window.localStorage.getItem(SAVE_KEY), null);
+        assert.strictEqual(Game.getSavedGame(), null);
+
+        const state = Game.getState();
+        assert.strictEqual(state.attempts, 0);
+        Game.makeGuess('1'.repeat(state.codeLength));
+        assert.strictEqual(Game.getState().attempts, 1, 'the new game can be played');
+        page.close();
+    });
+});
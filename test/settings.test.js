@@ -0,0 +1,73 @@
+/**
+ * SETTINGS TESTS - Saved settings applied to the game in play
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { settle, loadPage } = require('./helpers.js');
+
+let page;
+let Game;
+let Settings;
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+    Game = page.get('Game');
+    Settings = page.get('Settings');
+    page.get('Profiles').create('TESTER');
+    page.get('Profiles').closePicker();
+    return settle();
+}));
+
+after(() => page.close());
+
+test('changing a setting that is not a game setting leaves the game alone', () => {
+    Game.reset();
+    const guess = '0'.repeat(Game.getState().codeLength);
+    Game.makeGuess(guess);
+    const commitment = Game.getState().commitment;
+
+    Settings.set('sound', !Settings.get('sound'));
+    Settings.set('volume', 0.3);
+
+    const state = Game.getState();
+    assert.strictEqual(state.attempts, 1);
+    assert.strictEqual(state.commitment, commitment);
+});
+
+test('changing a game setting reconfigures the game', () => {
+    const next = Settings.get('difficulty') === 'easy' ? 'hard' : 'easy';
+    Settings.set('difficulty', next);
+    assert.strictEqual(Game.getState().difficulty, next);
+    assert.strictEqual(Game.getState().attempts, 0);
+});
+
+test('saved settings do not reset a duel leg', () => {
+    const Match = page.get('Match');
+    Match.start();
+    page.document.getElementById('duelSecretInput').value = '1'.repeat(Game.getState().codeLength);
+    Match.submitSecret();
+    const { difficulty, commitment } = Game.getState();
+
+    Settings.set('difficulty', difficulty === 'easy' ? 'hard' : 'easy');
+
+    assert.strictEqual(Game.getState().difficulty, difficulty);
+    assert.strictEqual(Game.getState().commitment, commitment);
+    Match.cancel();
+});
+
+test('a code setting the game rejects is not left showing in its select', () => {
+    Game.startRemoteGame({ submit: () => {}, codeLength: 5, symbolSet: 'hex', variant: 'classic', maxAttempts: 10 });
+    const saved = Settings.get('codeLength');
+
+    const select = page.document.getElementById('codeLengthSelect');
+    select.value = '6';
+    select.dispatchEvent(new page.window.Event('change'));
+
+    assert.strictEqual(Game.getState().codeLength, 5);
+    assert.strictEqual(select.value, '5');
+    assert.strictEqual(Settings.get('codeLength'), saved);
+    Game.stopRemoteGame();
+});
@@ -0,0 +1,43 @@
+/**
+ * SOLVER TESTS - Suggestion search cost
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+let page;
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+}));
+
+after(() => page.close());
+
+test('a suggestion over a large candidate set stays within the scoring budget', () => {
+    const Solver = page.get('Solver');
+    const classic = page.get('Rules').VARIANTS.classic;
+    const state = page.get('Game').getState();
+    const config = { codeLength: state.codeLength, symbols: state.symbols, variant: state.variant };
+    // One blank guess leaves thousands of codes possible
+    const guesses = [{ sequence: state.symbols[0].repeat(state.codeLength), exact: 0, partial: 0 }];
+    assert.ok(Solver.getCandidates(guesses, config).length > 1000);
+
+    const scoreGuess = classic.scoreGuess;
+    let calls = 0;
+    classic.scoreGuess = (...args) => {
+        calls++;
+        return scoreGuess(...args);
+    };
+    let suggestion;
+    try {
+        suggestion = Solver.suggestGuess(guesses, config);
+    } finally {
+        classic.scoreGuess = scoreGuess;
+    }
+
+    assert.ok(suggestion && suggestion.guess.length === state.codeLength);
+    assert.ok(calls <= 60000, `${calls} feedback computations`);
+});
@@ -0,0 +1,113 @@
+/**
+ * STORAGE TESTS - Leaderboard storage adapters
+ */
+
+'use strict';
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { loadPage } = require('./helpers.js');
+
+let page;
+let ScoreStorage;
+
+/**
+ * Copy a value out of the page's realm so deepStrictEqual compares plain arrays
+ */
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+const entry = (id, score, extra = {}) => ({ id, player: 'TESTER', score, difficulty: 'medium', date: '2024-01-01', ...extra });
+
+/**
+ * Just enough IndexedDB for the adapter: one store, every write recorded
+ */
+const createFakeIndexedDB = () => {
+    const data = new Map();
+    const writes = [];
+
+    const database = {
+        transaction: () => {
+            const transaction = {
+                objectStore: () => ({
+                    getAll: () => ({ result: plain([...data.values()]) }),
+                    put: (value) => {
+                        writes.push(['put', value.id]);
+                        data.set(value.id, plain(value));
+                    },
+                    delete: (id) => {
+                        writes.push(['delete', id]);
+                        data.delete(id);
+                    },
+                    clear: () => {
+                        writes.push(['clear']);
+                        data.clear();
+                    }
+                })
+            };
+            setTimeout(() => transaction.oncomplete());
+            return transaction;
+        }
+    };
+
+    return {
+        data,
+        writes,
+        open: () => {
+            const request = { result: database };
+            setTimeout(() => request.onsuccess());
+            return request;
+        }
+    };
+};
+
+before(() => loadPage().then(loaded => {
+    page = loaded;
+    ScoreStorage = page.get('ScoreStorage');
+}));
+
+after(() => page.close());
+
+test('the memory adapter saves, queries and clears copies of its entries', () => {
+    const adapter = ScoreStorage.createMemoryAdapter([entry('a', 100)]);
+    const saved = [entry('a', 100), entry('b', 300, { player: 'OTHER' }), entry('c', 200, { date: '2024-03-01' })];
+
+    return adapter.save(saved).then(() => {
+        saved[0].score = 0;
+        return adapter.load();
+    }).then(entries => {
+        assert.deepStrictEqual(plain(entries.map(e => [e.id, e.score])), [['a', 100], ['b', 300], ['c', 200]]);
+        return adapter.query('player', 'OTHER');
+    }).then(entries => {
+        assert.deepStrictEqual(plain(entries.map(e => e.id)), ['b']);
+        return adapter.query('date', { from: '2024-02-01' });
+    }).then(entries => {
+        assert.deepStrictEqual(plain(entries.map(e => e.id)), ['c']);
+        return adapter.clear().then(() => adapter.load());
+    }).then(entries => {
+        assert.strictEqual(entries.length, 0);
+    });
+});
+
+test('the IndexedDB adapter only writes entries that changed', () => {
+    const fake = createFakeIndexedDB();
+    fake.data.set('a', entry('a', 100));
+    page.window.indexedDB = fake;
+    const adapter = ScoreStorage.createIndexedDBAdapter();
+
+    return adapter.load().then(() => {
+        return adapter.save([entry('a', 100), entry('b', 200)]);
+    }).then(() => {
+        assert.deepStrictEqual(fake.writes, [['put', 'b']]);
+        fake.writes.length = 0;
+
+        // Saves queued back to back each see the one before
+        return Promise.all([
+            adapter.save([entry('a', 100), entry('b', 250)]),
+            adapter.save([entry('b', 250)])
+        ]);
+    }).then(() => {
+        assert.deepStrictEqual(fake.writes, [['put', 'b'], ['delete', 'a']]);
+        assert.deepStrictEqual([...fake.data.keys()], ['b']);
+        assert.strictEqual(fake.data.get('b').score, 250);
+    });
+});
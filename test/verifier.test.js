@@ -0,0 +1,65 @@
+/**
+ * VERIFIER TESTS - Malformed game logs
+ */
+
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const Rules = require('../js/rules.js');
+const Verifier = require('../js/verifier.js');
+
+/**
+ * A valid won game: one guess, secret 1234
+ */
+const createLog = () => ({
+    startedAt: 0,
+    events: [
+        {
+            type: 'start', t: 0, commitment: Rules.commitSecret('1234', 'n'),
+            settings: { difficulty: 'medium', maxAttempts: 15, maxHints: 3, codeLength: 4, symbolSet: 'digits' }
+        },
+        { type: 'guess', t: 1000, sequence: '1234', exact: 4, partial: 0 },
+        { type: 'end', t: 1000, result: 'win', secret: '1234', nonce: 'n', attempts: 1, score: 950 }
+    ]
+});
+
+test('a well-formed log verifies', () => {
+    assert.ok(Verifier.verifyReplay(createLog()).valid);
+});
+
+test('events that are not objects are rejected instead of throwing', () => {
+    [null, undefined, 42, 'guess', true].forEach(bad => {
+        const log = createLog();
+        log.events.splice(1, 0, bad);
+
+        let check;
+        assert.doesNotThrow(() => {
+            check = Verifier.verifyReplay(log);
+        }, `event ${String(bad)}`);
+        assert.strictEqual(check.valid, false);
+
+        assert.strictEqual(Verifier.verifyEntry({ replay: log }).valid, false);
+    });
+});
+
+test('suggestion and hint events need a code and whole-number fields', () => {
+    const withEvent = (event) => {
+        const log = createLog();
+        log.events.splice(1, 0, { t: 500, ...event });
+        log.events[log.events.length - 1].score = Rules.computeScore({
+            attempts: 1,
+            hintsUsed: event.type === 'hint' ? 1 : 0,
+            suggestionsUsed: event.type === 'suggest' ? 1 : 0
+        });
+        return Verifier.verifyReplay(log);
+    };
+
+    assert.ok(withEvent({ type: 'suggest', guess: '5678', remaining: 120 }).valid);
+    assert.ok(withEvent({ type: 'suggest' }).valid, 'server-logged suggestions carry no details');
+    assert.strictEqual(withEvent({ type: 'suggest', guess: '<img src=x onerror=alert(1)>', remaining: 1 }).valid, false);
+    assert.strictEqual(withEvent({ type: 'suggest', guess: '5678', remaining: '<b>1</b>' }).valid, false);
+
+    assert.ok(withEvent({ type: 'hint', position: 2, digit: '2' }).valid);
+    assert.strictEqual(withEvent({ type: 'hint', position: '2', digit: '2' }).valid, false);
+});